@@ -2,45 +2,73 @@ import React, { useState, useEffect, useCallback } from 'react';
 import LoginScreen from './components/LoginScreen';
 import GameBoard from './components/GameBoard';
 import ErrorPopup from './components/ErrorPopup';
+import ConnectionStatus from './components/ConnectionStatus';
+import ConnectionLostScreen from './components/ConnectionLostScreen';
+import RecorderControls from './components/RecorderControls';
+import ReplayControls from './components/ReplayControls';
+import TradeModal from './components/TradeModal';
+import BuildPlanner from './components/BuildPlanner';
+import LobbyRoom from './components/LobbyRoom';
+import DebtResolution from './components/DebtResolution';
+import ResultsScreen from './components/ResultsScreen';
+import TradeOfferModal from './components/TradeOfferModal';
+import config from './config';
 import wsService from './services/WebSocketService';
+import replayService from './services/ReplayService';
+import { getStoredSession } from './services/session';
+import { gameStore, eventLogStore, chatStore, statsStore, useGameStore } from './store';
+import { setUsername, setLobbyCode, restoreSession, resetGame, logEvent, clearEventLog, clearChat, clearStats, recordStats, setTurnRequest, answerChoice } from './store/actions';
+import {
+    selectUsername,
+    selectBoard,
+    selectBalance,
+    selectOwnedProperties,
+    selectOwnership,
+    selectBankSupply,
+    selectTrades
+} from './store/selectors';
 import { applyTheme, getStoredTheme } from './theme';
+import { getStoredReducedMotion, storeReducedMotion } from './motion';
 import './styles/global.css';
 
 /**
  * Main App Component
- * Manages scene switching, WebSocket connection, and game state
+ * Manages scene switching, WebSocket connection and transient UI state
+ * Game state lives in the game store (src/store)
  */
 function App() {
     // UI State
-    const [currentScene, setCurrentScene] = useState('login'); // 'login' or 'game'
+    // 'login', 'resuming', 'lobby', 'game' or 'results'
+    const [currentScene, setCurrentScene] = useState(wsService.hasSession() ? 'resuming' : 'login');
     const [error, setError] = useState(null);
     const [theme, setTheme] = useState(getStoredTheme());
+    const [reducedMotion, setReducedMotion] = useState(getStoredReducedMotion());
+    const [connectionStatus, setConnectionStatus] = useState(wsService.getConnectionStatus());
+    const [replay, setReplay] = useState(replayService.getState());
+
+    // Game State (from the store)
+    const username = useGameStore(selectUsername);
+    const board = useGameStore(selectBoard);
+    const balance = useGameStore(selectBalance);
+    const ownedProperties = useGameStore(selectOwnedProperties);
+    const ownership = useGameStore(selectOwnership);
+    const bankSupply = useGameStore(selectBankSupply);
 
-    // Game State
-    const [username, setUsername] = useState('');
-    const [gameData, setGameData] = useState({
-        board: [],
-        players: [],
-        pawns: [],
-        currentTurn: null
-    });
-    const [playerData, setPlayerData] = useState({
-        balance: 0,
-        ownedProperties: []
-    });
     const [balanceNotification, setBalanceNotification] = useState(null);
     const [gameNotification, setGameNotification] = useState(null);
     const [choicePrompt, setChoicePrompt] = useState(null);
+    // The choice modal can be put aside; the turn stays blocked until it is answered
+    const [choiceHidden, setChoiceHidden] = useState(false);
     const [tileMessage, setTileMessage] = useState(null);
     const [propertyDetailsModal, setPropertyDetailsModal] = useState(null);
-    // Track player positions on board (username -> position)
-    const [playerPositions, setPlayerPositions] = useState({});
-    const [isHost, setIsHost] = useState(false);
-
-    // Store username globally for button access
-    useEffect(() => {
-        window.currentUsername = username;
-    }, [username]);
+    // Tile id of the color set open in the building planner
+    const [buildPlannerTile, setBuildPlannerTile] = useState(null);
+    // Trade builder draft ({ to, offer, request, counterOf }) and the incoming offer being reviewed
+    const [tradeDraft, setTradeDraft] = useState(null);
+    const [reviewTradeId, setReviewTradeId] = useState(null);
+    const trades = useGameStore(selectTrades);
+    // Delivery status of turn actions (message type -> 'queued' | 'sent' | 'expired')
+    const [actionStatus, setActionStatus] = useState({});
 
     /**
      * Initialize theme on mount
@@ -58,6 +86,15 @@ function App() {
         applyTheme(newTheme);
     }, [theme]);
 
+    /**
+     * Toggle board animations on and off
+     */
+    const toggleReducedMotion = useCallback(() => {
+        const newReducedMotion = !reducedMotion;
+        setReducedMotion(newReducedMotion);
+        storeReducedMotion(newReducedMotion);
+    }, [reducedMotion]);
+
     /**
      * Handle error messages from server
      */
@@ -81,26 +118,13 @@ function App() {
     const handleNewGame = useCallback((data) => {
         console.log('Game created:', data);
 
-        // Show lobby code to user
-        alert(`Lobby created successfully!\n\nLobby Code: ${data['lobby-code']}\n\nShare this code with other players so they can join.`);
-
-        setGameData({
-            board: data.board || [],
-            players: [],
-            pawns: data.pawns || [],
-            currentTurn: null,
-            lobbyCode: data['lobby-code']
-        });
-
-        // Mark as host
-        setIsHost(true);
-
-        // Initialize host at position 0
-        if (username) {
-            setPlayerPositions({ [username]: 0 });
+        // Remember the session so the host can resume after a reconnect or refresh
+        if (data['session-token']) {
+            wsService.setSession(data['session-token'], { username, isHost: true });
         }
 
-        setCurrentScene('game');
+        // The lobby room shows the code to share
+        setCurrentScene('lobby');
     }, [username]);
 
     /**
@@ -108,42 +132,37 @@ function App() {
      */
     const handleJoinGame = useCallback((data) => {
         console.log('Joined game:', data);
-        setGameData({
-            board: data.board || [],
-            players: data.players || [],
-            pawns: data.pawns || [],
-            currentTurn: null
-        });
 
-        // Not the host when joining
-        setIsHost(false);
+        // Remember the session so the player can resume after a reconnect or refresh
+        if (data['session-token']) {
+            wsService.setSession(data['session-token'], { username, isHost: false });
+        }
+
+        setCurrentScene('lobby');
+    }, [username]);
 
-        // Initialize all existing players at position 0
-        const positions = {};
-        (data.players || []).forEach(player => {
-            positions[player.username] = 0;
-        });
-        setPlayerPositions(positions);
+    /**
+     * Handle session resume response
+     * The store rebuilds the full game state from the message
+     */
+    const handleResumeGame = useCallback((data) => {
+        console.log('Session resumed:', data);
 
-        setCurrentScene('game');
+        // Back to the lobby room if the game has not started yet
+        setCurrentScene(data['current-turn'] ? 'game' : 'lobby');
     }, []);
 
     /**
-     * Handle new player joining
+     * Handle rejected session resume (expired token, lobby closed)
      */
-    const handleNewPlayer = useCallback((data) => {
-        console.log('New player joined:', data);
-        const player = data.player;
-        setGameData(prev => ({
-            ...prev,
-            players: [...prev.players, player]
-        }));
-
-        // Initialize new player at position 0
-        setPlayerPositions(prev => ({
-            ...prev,
-            [player.username]: 0
-        }));
+    const handleResumeFailed = useCallback((data) => {
+        console.warn('Session resume failed:', data);
+        wsService.clearSession();
+        setError({
+            code: 'RESUME_FAILED',
+            message: data.reason || 'Could not rejoin your previous game.'
+        });
+        setCurrentScene('login');
     }, []);
 
     /**
@@ -151,20 +170,11 @@ function App() {
      */
     const handleGameStart = useCallback((data) => {
         console.log('Game started:', data);
+        setCurrentScene('game');
 
         // Show game started notification
         setGameNotification({ type: 'info', message: 'Game Started!' });
         setTimeout(() => setGameNotification(null), 3000);
-
-        // Initialize all players at position 0 (start)
-        setGameData(prev => {
-            const positions = {};
-            prev.players.forEach(player => {
-                positions[player.username] = 0;
-            });
-            setPlayerPositions(positions);
-            return prev;
-        });
     }, []);
 
     /**
@@ -172,10 +182,6 @@ function App() {
      */
     const handleNextTurn = useCallback((data) => {
         console.log('Next turn:', data);
-        setGameData(prev => ({
-            ...prev,
-            currentTurn: data.player
-        }));
 
         // Show notification if it's this player's turn
         if (data.player === username) {
@@ -184,39 +190,23 @@ function App() {
         }
     }, [username]);
 
-    /**
-     * Handle player data sync
-     */
-    const handlePlayerData = useCallback((data) => {
-        console.log('Player data:', data);
-        setPlayerData({
-            balance: data.balance,
-            ownedProperties: data['owned-properties'] || []
-        });
-    }, []);
-
     /**
      * Handle CHOICE messages from server
-     * Expected format: { OPTIONS: [ { label, description } ], title?: string }
+     * Normalized format: { title: string, options: [ { label, description } ] }
      */
     const handleChoice = useCallback((data) => {
         console.log('CHOICE received:', data);
-        const payload = data || {};
-        const options = payload.OPTIONS || payload.options || [];
-        const title = payload.title || 'Choose an option';
-        setChoicePrompt({ title, options });
+        setChoicePrompt({ title: data.title, options: data.options });
+        setChoiceHidden(false);
     }, []);
 
     /**
      * Handle TILE_MESSAGE from server (chance/community chest)
-     * Expected format: { title: string, message: string }
+     * Normalized format: { title: string, message: string }
      */
     const handleTileMessage = useCallback((data) => {
         console.log('TILE_MESSAGE received:', data);
-        const payload = data || {};
-        // Accept nested data or direct
-        const msg = payload.data || payload;
-        setTileMessage({ title: msg.title || 'Message', message: msg.message || '' });
+        setTileMessage({ title: data.title, message: data.message });
     }, []);
 
     /**
@@ -224,164 +214,256 @@ function App() {
      */
     const handleTransaction = useCallback((data) => {
         console.log('Transaction:', data);
+        if (data.player && data.player !== username) return;
+
         const change = data['balance-change'];
 
         // Show balance notification
         setBalanceNotification(change);
         setTimeout(() => setBalanceNotification(null), 1000);
-
-        // Update balance
-        setPlayerData(prev => ({
-            ...prev,
-            balance: data['balance-sync']
-        }));
-    }, []);
+    }, [username]);
 
     /**
-     * Handle property transfer
+     * Handle property upgrade response from server
      */
-    const handlePropertyTransfer = useCallback((data) => {
-        console.log('Property transfer:', data);
-        const property = data.property;
+    const handlePropertyUpgrade = useCallback((data) => {
+        console.log('Property upgrade:', data);
+        if (data.player && data.player !== username) return;
 
-        setPlayerData(prev => {
-            // Check if property already owned (update) or new
-            const existingIndex = prev.ownedProperties.findIndex(p => p.id === property.id);
-            if (existingIndex >= 0) {
-                const updated = [...prev.ownedProperties];
-                updated[existingIndex] = property;
-                return { ...prev, ownedProperties: updated };
-            } else {
-                return { ...prev, ownedProperties: [...prev.ownedProperties, property] };
-            }
-        });
-    }, []);
+        // Show success notification
+        setGameNotification({ type: 'success', message: 'Property upgraded!' });
+        setTimeout(() => setGameNotification(null), 2000);
+    }, [username]);
 
     /**
-     * Handle player position update
-     */
-    const handleSetPosition = useCallback((data) => {
-        console.log('Position set:', data);
-        const positionData = data.data || data;
-
-        // New format: { player: "username", position: 5 }
-        // Old format: just the position number
-        if (typeof positionData === 'object' && positionData.player) {
-            setPlayerPositions(prev => ({
-                ...prev,
-                [positionData.player]: positionData.position
-            }));
-        } else if (typeof positionData === 'number' && username) {
-            // Fallback for old format
-            setPlayerPositions(prev => ({
-                ...prev,
-                [username]: positionData
-            }));
-        }
+     * Handle a building sold back to the bank
+     */
+    const handlePropertyDowngrade = useCallback((data) => {
+        if (data.player && data.player !== username) return;
+
+        setGameNotification({ type: 'info', message: 'Building sold' });
+        setTimeout(() => setGameNotification(null), 2000);
     }, [username]);
 
     /**
-     * Handle property upgrade response from server
+     * Handle a property being mortgaged or having its mortgage lifted
      */
-    const handlePropertyUpgrade = useCallback((data) => {
-        console.log('Property upgrade:', data);
-        const upgradeData = data.property || data;
+    const handlePropertyMortgage = useCallback((data) => {
+        if (data.player && data.player !== username) return;
 
-        setPlayerData(prev => {
-            const updatedProperties = prev.ownedProperties.map(prop => {
-                if (prop.id === upgradeData.id) {
-                    return { ...prop, level: upgradeData.level };
-                }
-                return prop;
-            });
-            return { ...prev, ownedProperties: updatedProperties };
+        setGameNotification({
+            type: 'info',
+            message: data.property.mortgaged ? 'Property mortgaged' : 'Mortgage lifted'
         });
-
-        // Show success notification
-        setGameNotification({ type: 'success', message: 'Property upgraded!' });
         setTimeout(() => setGameNotification(null), 2000);
+    }, [username]);
+
+    /**
+     * Handle TRADE_OFFER: open incoming offers for review
+     */
+    const handleTradeOffer = useCallback((data) => {
+        if (data.to !== username || wsService.isReplaying) return;
+        setReviewTradeId(current => current ?? data.id);
+        setGameNotification({ type: 'info', message: `${data.from} sent you a trade offer` });
+        setTimeout(() => setGameNotification(null), 3000);
+    }, [username]);
+
+    /**
+     * Handle TRADE_UPDATE: close the offer and report the outcome
+     */
+    const handleTradeUpdate = useCallback((data) => {
+        setReviewTradeId(current => (current === data.id ? null : current));
+
+        const messages = {
+            accepted: 'Trade accepted!',
+            rejected: 'Trade rejected',
+            cancelled: 'Trade offer withdrawn',
+            expired: 'Trade offer expired'
+        };
+        if (!messages[data.status]) return;
+        setGameNotification({
+            type: 'info',
+            message: data.reason ? `${messages[data.status]}: ${data.reason}` : messages[data.status]
+        });
+        setTimeout(() => setGameNotification(null), 3000);
     }, []);
 
+    /**
+     * Handle AUCTION_END: tell the local player if they won
+     */
+    const handleAuctionEnd = useCallback((data) => {
+        if (!data.winner || data.winner !== username) return;
+        setGameNotification({ type: 'info', message: `You won the auction for $${data.amount}!` });
+        setTimeout(() => setGameNotification(null), 3000);
+    }, [username]);
+
+    /**
+     * Handle PLAYER_ELIMINATED: say where the bankrupt player's assets went
+     */
+    const handlePlayerEliminated = useCallback((data) => {
+        const isMe = data.player === username;
+        let recipient = 'the bank';
+        if (data.creditor) recipient = data.creditor === username ? 'you' : data.creditor;
+
+        setGameNotification({
+            type: 'info',
+            message: isMe
+                ? `You are bankrupt: your assets go to ${recipient}`
+                : `${data.player} is bankrupt: their assets go to ${recipient}`
+        });
+        setTimeout(() => setGameNotification(null), 4000);
+    }, [username]);
+
     /**
      * Handle game end
      */
     const handleGameEnd = useCallback((data) => {
         console.log('Game ended:', data);
-        const reason = data.reason || 'Game has ended';
-        
-        // Show game ended notification
-        alert(`Game Ended\n\n${reason}`);
-        
-        // Return to login screen
-        setCurrentScene('login');
-        setGameData({
-            board: [],
-            players: [],
-            pawns: [],
-            currentTurn: null
-        });
-        setPlayerData({
-            balance: 0,
-            ownedProperties: []
+
+        // The lobby is gone, so there is nothing left to resume (a replayed game end leaves the real session alone)
+        if (!replayService.getState().active) {
+            wsService.clearSession();
+        }
+        setTradeDraft(null);
+        setReviewTradeId(null);
+        setChoicePrompt(null);
+        setBuildPlannerTile(null);
+        setPropertyDetailsModal(null);
+
+        // Show the final standings (the game store resets itself on GAME_END; the stats store keeps them)
+        setCurrentScene('results');
+    }, []);
+
+    /**
+     * Feed every inbound protocol message into the event log, the chat, the game store and the statistics
+     * The log sees the state from before the message so it can name previous owners;
+     * the statistics also get the state after it and the log line it produced
+     */
+    useEffect(() => {
+        return wsService.on('*', (data, type) => {
+            const event = logEvent(type, data, gameStore.getState());
+            eventLogStore.dispatch(event);
+            chatStore.dispatch(event);
+            gameStore.dispatch({ type, data });
+            const { entries } = eventLogStore.getState();
+            statsStore.dispatch(recordStats(event, gameStore.getState(), entries[entries.length - 1] || null));
         });
-        setPlayerPositions({});
-        setIsHost(false);
     }, []);
 
     /**
-     * Setup WebSocket message handlers
+     * Setup WebSocket message handlers for UI side effects
      */
     useEffect(() => {
-        // Register all message handlers using the extensible map system
-        wsService.on('ERROR', handleError);
-        wsService.on('NEW_GAME', handleNewGame);
-        wsService.on('JOIN_GAME', handleJoinGame);
-        wsService.on('NEW_PLAYER', handleNewPlayer);
-        wsService.on('GAME_START', handleGameStart);
-        wsService.on('NEXT_TURN', handleNextTurn);
-        wsService.on('PLAYER_DATA', handlePlayerData);
-        wsService.on('CHOICE', handleChoice);
-        wsService.on('TILE_MESSAGE', handleTileMessage);
-        wsService.on('TRANSACTION', handleTransaction);
-        wsService.on('PROPERTY_TRANSFER', handlePropertyTransfer);
-        wsService.on('SET_POSITION', handleSetPosition);
-        wsService.on('PROPERTY_UPGRADE', handlePropertyUpgrade);
-        wsService.on('GAME_END', handleGameEnd);
+        // Register all message handlers; each on() returns its own unsubscribe function
+        const unsubscribers = [
+            wsService.on('ERROR', handleError),
+            wsService.on('NEW_GAME', handleNewGame),
+            wsService.on('JOIN_GAME', handleJoinGame),
+            wsService.on('RESUME_GAME', handleResumeGame),
+            wsService.on('RESUME_FAILED', handleResumeFailed),
+            wsService.on('GAME_START', handleGameStart),
+            wsService.on('NEXT_TURN', handleNextTurn),
+            wsService.on('CHOICE', handleChoice),
+            wsService.on('TILE_MESSAGE', handleTileMessage),
+            wsService.on('TRANSACTION', handleTransaction),
+            wsService.on('PROPERTY_UPGRADE', handlePropertyUpgrade),
+            wsService.on('PROPERTY_DOWNGRADE', handlePropertyDowngrade),
+            wsService.on('PROPERTY_MORTGAGE', handlePropertyMortgage),
+            wsService.on('TRADE_OFFER', handleTradeOffer),
+            wsService.on('TRADE_UPDATE', handleTradeUpdate),
+            wsService.on('AUCTION_END', handleAuctionEnd),
+            wsService.on('PLAYER_ELIMINATED', handlePlayerEliminated),
+            wsService.on('GAME_END', handleGameEnd)
+        ];
 
         // Cleanup on unmount
         return () => {
-            wsService.off('ERROR');
-            wsService.off('NEW_GAME');
-            wsService.off('JOIN_GAME');
-            wsService.off('NEW_PLAYER');
-            wsService.off('GAME_START');
-            wsService.off('NEXT_TURN');
-            wsService.off('PLAYER_DATA');
-            wsService.off('CHOICE');
-            wsService.off('TILE_MESSAGE');
-            wsService.off('TRANSACTION');
-            wsService.off('PROPERTY_TRANSFER');
-            wsService.off('SET_POSITION');
-            wsService.off('PROPERTY_UPGRADE');
-            wsService.off('GAME_END');
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+        };
+    }, [handleError, handleNewGame, handleJoinGame, handleResumeGame, handleResumeFailed, handleGameStart, handleNextTurn, handleChoice, handleTileMessage, handleTransaction, handlePropertyUpgrade, handlePropertyDowngrade, handlePropertyMortgage, handleTradeOffer, handleTradeUpdate, handleAuctionEnd, handlePlayerEliminated, handleGameEnd]);
+
+    /**
+     * Mirror the WebSocket connection status for the header badge
+     */
+    useEffect(() => {
+        return wsService.onConnectionStatus(setConnectionStatus);
+    }, []);
+
+    /**
+     * Mirror replay playback state for the replay controls
+     */
+    useEffect(() => {
+        return replayService.onChange(setReplay);
+    }, []);
+
+    /**
+     * Track delivery status of the turn action buttons
+     * 'sent' is only shown briefly; 'queued' and 'expired' stay until the next attempt
+     */
+    useEffect(() => {
+        const trackedActions = ['REQUEST_ROLL', 'FINISH_TURN'];
+
+        return wsService.onOutboundStatus(({ type, status }) => {
+            if (!trackedActions.includes(type)) return;
+            setActionStatus(prev => ({ ...prev, [type]: status }));
+
+            // A dropped request no longer holds the turn buttons
+            if (status === 'expired') {
+                gameStore.dispatch(setTurnRequest(null));
+            }
+
+            if (status === 'sent') {
+                setTimeout(() => {
+                    setActionStatus(prev => (
+                        prev[type] === 'sent' ? { ...prev, [type]: null } : prev
+                    ));
+                }, 2000);
+            }
+        });
+    }, []);
+
+    /**
+     * Resume a stored session after a page refresh
+     */
+    useEffect(() => {
+        if (!wsService.hasSession()) return;
+        let cancelled = false;
+        gameStore.dispatch(restoreSession(getStoredSession()));
+
+        const resume = async () => {
+            try {
+                if (!wsService.isConnected) {
+                    await wsService.connect();
+                }
+                if (!cancelled) {
+                    wsService.resumeSession();
+                }
+            } catch (err) {
+                if (cancelled) return;
+                console.error('Resume error:', err);
+                wsService.clearSession();
+                setCurrentScene('login');
+            }
+        };
+        resume();
+
+        return () => {
+            cancelled = true;
         };
-    }, [handleError, handleNewGame, handleJoinGame, handleNewPlayer, handleGameStart, handleNextTurn, handlePlayerData, handleTransaction, handlePropertyTransfer, handleSetPosition, handlePropertyUpgrade, handleGameEnd]);
+    }, []);
 
     /**
      * Handle join button click from LoginScreen
      */
     const handleJoinClick = useCallback(async (inputUsername, lobbyCode) => {
         try {
-            setUsername(inputUsername);
+            gameStore.dispatch(setUsername(inputUsername));
 
             // Connect to WebSocket if not already connected
             if (!wsService.isConnected) {
                 await wsService.connect();
             }
 
-            // Expose wsService globally for button access
-            window.wsService = wsService;
-
             // If no lobby code provided, create a new game
             if (!lobbyCode) {
                 const success = wsService.createGame(inputUsername);
@@ -393,7 +475,7 @@ function App() {
                 }
             } else {
                 // Remember lobby code for display before sending join request
-                setGameData(prev => ({ ...prev, lobbyCode }));
+                gameStore.dispatch(setLobbyCode(lobbyCode));
                 // Send join request
                 const success = wsService.requestJoin(inputUsername, lobbyCode);
                 if (!success) {
@@ -416,6 +498,95 @@ function App() {
         }
     }, []);
 
+    /**
+     * Load a recorded session file and start replaying it
+     * Scene changes come from the recorded NEW_GAME / JOIN_GAME / RESUME_GAME messages
+     */
+    const handleLoadReplay = useCallback(async (file) => {
+        try {
+            const recording = JSON.parse(await file.text());
+            replayService.load(recording);
+            gameStore.dispatch(resetGame());
+            eventLogStore.dispatch(clearEventLog());
+            chatStore.dispatch(clearChat());
+            statsStore.dispatch(clearStats());
+            gameStore.dispatch(setUsername(recording.meta?.username || ''));
+            replayService.play();
+        } catch (err) {
+            console.error('Replay load error:', err);
+            setError({
+                code: 'REPLAY_ERROR',
+                message: `Could not load recording: ${err.message}`
+            });
+        }
+    }, []);
+
+    /**
+     * Leave replay mode and return to the login screen
+     */
+    const handleExitReplay = useCallback(() => {
+        replayService.stop();
+        gameStore.dispatch(resetGame());
+        eventLogStore.dispatch(clearEventLog());
+        chatStore.dispatch(clearChat());
+        statsStore.dispatch(clearStats());
+        setChoicePrompt(null);
+        setTileMessage(null);
+        setPropertyDetailsModal(null);
+        setCurrentScene('login');
+    }, []);
+
+    /**
+     * Ask for a rematch in the lobby of the game that just ended
+     * The answer (NEW_GAME or JOIN_GAME) moves everyone to the lobby room
+     */
+    const handlePlayAgain = useCallback(async (lobbyCode) => {
+        try {
+            if (!wsService.isConnected) {
+                await wsService.connect();
+            }
+            gameStore.dispatch(setLobbyCode(lobbyCode));
+            if (!wsService.playAgain(username, lobbyCode)) {
+                setError({
+                    code: 'CONNECTION_ERROR',
+                    message: 'Failed to send the rematch request. Please check your connection.'
+                });
+            }
+        } catch (err) {
+            console.error('Play again error:', err);
+            setError({
+                code: 'CONNECTION_ERROR',
+                message: 'Failed to connect to server. Please try again.'
+            });
+        }
+    }, [username]);
+
+    /**
+     * Leave the results screen for the login screen
+     */
+    const handleBackToMenu = useCallback(() => {
+        statsStore.dispatch(clearStats());
+        setCurrentScene('login');
+    }, []);
+
+    /**
+     * Ask the server for a dice roll; the buttons wait for the answer
+     */
+    const handleRoll = useCallback(() => {
+        if (wsService.requestRoll()) {
+            gameStore.dispatch(setTurnRequest('roll'));
+        }
+    }, []);
+
+    /**
+     * Pass the turn on to the next player
+     */
+    const handleEndTurn = useCallback(() => {
+        if (wsService.finishTurn(username)) {
+            gameStore.dispatch(setTurnRequest('end'));
+        }
+    }, [username]);
+
     /**
      * Close error popup
      */
@@ -424,11 +595,12 @@ function App() {
     }, []);
 
     /**
-     * Disconnect on unmount
+     * Disconnect and drop every message handler on unmount
      */
     useEffect(() => {
         return () => {
             wsService.disconnect();
+            wsService.removeAllListeners();
         };
     }, []);
 
@@ -445,29 +617,88 @@ function App() {
                 </span>
             </button>
 
-            {/* Scene rendering */}
+            {/* Reduced motion toggle */}
+            <button
+                className={`motion-toggle ${reducedMotion ? 'off' : 'on'}`}
+                onClick={toggleReducedMotion}
+                aria-label="Toggle animations"
+                aria-pressed={reducedMotion}
+                title={reducedMotion ? 'Animations off' : 'Animations on'}
+            >
+                {reducedMotion ? '⏸' : '▶'}
+            </button>
+
+            {/* Connection status badge */}
+            <ConnectionStatus status={connectionStatus} />
+
+            {/* Scene rendering. A replay passes no action handlers, so every scene renders read-only */}
             {currentScene === 'login' && (
-                <LoginScreen onJoin={handleJoinClick} />
+                <LoginScreen
+                    onJoin={handleJoinClick}
+                    onLoadReplay={config.debug.replay ? handleLoadReplay : undefined}
+                />
+            )}
+
+            {currentScene === 'resuming' && (
+                <div className="resume-screen">Rejoining your game...</div>
+            )}
+
+            {currentScene === 'lobby' && (
+                <LobbyRoom
+                    onPickPawn={replay.active ? undefined : (pawn) => wsService.pickPawn(pawn)}
+                    onSetReady={replay.active ? undefined : (ready) => wsService.setReady(ready)}
+                    onStart={replay.active ? undefined : () => wsService.startGame()}
+                    onSendChat={replay.active ? undefined : (text) => wsService.sendChat(text)}
+                    onEmote={replay.active ? undefined : (emote) => wsService.sendEmote(emote)}
+                />
             )}
 
             {currentScene === 'game' && (
                 <GameBoard
-                    board={gameData.board}
-                    players={gameData.players}
-                    pawns={gameData.pawns}
-                    currentTurn={gameData.currentTurn}
-                    playerData={playerData}
                     balanceNotification={balanceNotification}
                     gameNotification={gameNotification}
-                    playerPositions={playerPositions}
-                    isHost={isHost}
-                    lobbyCode={gameData.lobbyCode}
+                    actionStatus={actionStatus}
                     onPropertyClick={(property) => setPropertyDetailsModal(property)}
+                    onRoll={replay.active ? undefined : handleRoll}
+                    onEndTurn={replay.active ? undefined : handleEndTurn}
+                    onEndGame={replay.active ? undefined : () => wsService.endGame()}
+                    onShowChoice={choicePrompt && choiceHidden ? () => setChoiceHidden(false) : undefined}
+                    onPayJailFine={replay.active ? undefined : () => wsService.payJailFine()}
+                    onUseJailCard={replay.active ? undefined : () => wsService.useJailCard()}
+                    onOpenTrade={replay.active ? undefined : () => setTradeDraft({})}
+                    onReviewTrade={replay.active ? undefined : setReviewTradeId}
+                    onCancelTrade={replay.active ? undefined : (id) => wsService.cancelTrade(id)}
+                    onBid={replay.active ? undefined : (id, amount) => wsService.placeBid(id, amount)}
+                    onSendChat={replay.active ? undefined : (text) => wsService.sendChat(text)}
+                    onEmote={replay.active ? undefined : (emote) => wsService.sendEmote(emote)}
+                    reducedMotion={reducedMotion}
+                />
+            )}
+
+            {currentScene === 'results' && (
+                <ResultsScreen
+                    onPlayAgain={replay.active ? undefined : handlePlayAgain}
+                    onBackToMenu={replay.active ? handleExitReplay : handleBackToMenu}
                 />
             )}
 
+            {/* Protocol recorder (developer tool) */}
+            {config.debug.protocolRecorder && (currentScene === 'lobby' || currentScene === 'game') && !replay.active && (
+                <RecorderControls wsService={wsService} username={username} />
+            )}
+
+            {/* Replay playback bar */}
+            <ReplayControls
+                replay={replay}
+                onPlay={() => replayService.play()}
+                onPause={() => replayService.pause()}
+                onStep={() => replayService.step()}
+                onSpeedChange={(speed) => replayService.setSpeed(speed)}
+                onExit={handleExitReplay}
+            />
+
             {/* Choice modal (blocking) */}
-            {choicePrompt && (
+            {choicePrompt && !choiceHidden && (
                 <React.Suspense fallback={null}>
                     {/* Lazy import not necessary; directly render component */}
                     {/* Importing here to avoid circular deps in some setups */}
@@ -480,9 +711,10 @@ function App() {
                                 options={choicePrompt.options}
                                 onSelect={(label) => {
                                     wsService.sendChoice(label);
+                                    gameStore.dispatch(answerChoice());
                                     setChoicePrompt(null);
                                 }}
-                                onCancel={() => setChoicePrompt(null)}
+                                onCancel={() => setChoiceHidden(true)}
                             />
                         );
                     })()}
@@ -512,18 +744,100 @@ function App() {
                         <PropertyDetailsModal
                             visible={true}
                             property={propertyDetailsModal}
-                            board={gameData.board}
-                            playerBalance={playerData.balance}
+                            board={board}
+                            ownership={ownership}
+                            ownedProperties={ownedProperties}
+                            username={username}
+                            bankSupply={bankSupply}
+                            playerBalance={balance}
                             onUpgrade={(propertyId) => {
                                 wsService.requestUpgrade(propertyId);
                                 setPropertyDetailsModal(null);
                             }}
+                            onSellBuilding={(propertyId) => {
+                                wsService.requestSellBuilding(propertyId);
+                                setPropertyDetailsModal(null);
+                            }}
+                            onMortgage={(propertyId) => {
+                                wsService.requestMortgage(propertyId);
+                                setPropertyDetailsModal(null);
+                            }}
+                            onUnmortgage={(propertyId) => {
+                                wsService.requestUnmortgage(propertyId);
+                                setPropertyDetailsModal(null);
+                            }}
+                            onPlanSet={replay.active ? undefined : (propertyId) => {
+                                setBuildPlannerTile(propertyId);
+                                setPropertyDetailsModal(null);
+                            }}
                             onClose={() => setPropertyDetailsModal(null)}
                         />
                     );
                 })()
             )}
 
+            {/* Unpaid debt (blocking until paid or bankrupt) */}
+            {currentScene === 'game' && (
+                <DebtResolution
+                    onSellBuilding={replay.active ? undefined : (propertyId) => wsService.requestSellBuilding(propertyId)}
+                    onMortgage={replay.active ? undefined : (propertyId) => wsService.requestMortgage(propertyId)}
+                    onPay={replay.active ? undefined : () => wsService.payDebt()}
+                    onDeclareBankruptcy={replay.active ? undefined : () => wsService.declareBankruptcy()}
+                />
+            )}
+
+            {/* Building planner for a whole color set */}
+            {buildPlannerTile !== null && (
+                <BuildPlanner
+                    tileId={buildPlannerTile}
+                    onClose={() => setBuildPlannerTile(null)}
+                />
+            )}
+
+            {/* Trade builder */}
+            {tradeDraft && (
+                <TradeModal
+                    draft={tradeDraft}
+                    onSend={(to, offer, request, counterOf) => {
+                        wsService.offerTrade(to, offer, request, counterOf);
+                        setTradeDraft(null);
+                    }}
+                    onClose={() => setTradeDraft(null)}
+                />
+            )}
+
+            {/* Incoming trade offer */}
+            {!tradeDraft && reviewTradeId !== null && (
+                <TradeOfferModal
+                    trade={trades.find(trade => trade.id === reviewTradeId)}
+                    onAccept={(id) => {
+                        wsService.respondToTrade(id, 'accept');
+                        setReviewTradeId(null);
+                    }}
+                    onReject={(id) => {
+                        wsService.respondToTrade(id, 'reject');
+                        setReviewTradeId(null);
+                    }}
+                    onCounter={(trade) => {
+                        // Sides swap: what they asked for is what the local player now offers
+                        setTradeDraft({
+                            to: trade.from,
+                            offer: trade.request,
+                            request: trade.offer,
+                            counterOf: trade.id
+                        });
+                        setReviewTradeId(null);
+                    }}
+                    onClose={() => setReviewTradeId(null)}
+                />
+            )}
+
+            {/* Connection lost (blocking) */}
+            <ConnectionLostScreen
+                visible={connectionStatus.state === 'offline'}
+                onRetry={() => wsService.retry()}
+            />
+
             {/* Error popup (non-blocking) */}
             <ErrorPopup
                 error={error}
@@ -0,0 +1,43 @@
+/**
+ * Chat settings for the application
+ * Quick emotes, message limits and the client-side profanity filter
+ */
+
+// Longest chat message the client sends
+export const CHAT_MAX_LENGTH = 200;
+
+// Reactions offered on the quick emote bar
+export const QUICK_EMOTES = ['👍', '👏', '😂', '😮', '😡', '🎉', '💸', '🎲'];
+
+// Words masked by the profanity filter; matched as whole words, case-insensitively
+const PROFANITY = [
+	'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit',
+	'crap', 'damn', 'dick', 'douche', 'fuck', 'fucked', 'fucker', 'fucking',
+	'motherfucker', 'piss', 'prick', 'shit', 'shitty', 'slut', 'twat', 'wanker', 'whore'
+];
+
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})\\b`, 'gi');
+
+/**
+ * Mask profanity in a message, keeping the first letter of each word
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+export const filterProfanity = (text) => text.replace(
+	PROFANITY_PATTERN,
+	(word) => word[0] + '*'.repeat(word.length - 1)
+);
+
+/**
+ * Store the profanity filter preference
+ * @param {boolean} enabled - Whether chat should be filtered
+ */
+export const storeProfanityFilter = (enabled) => {
+	localStorage.setItem('chat-profanity-filter', enabled ? 'true' : 'false');
+};
+
+/**
+ * Get the stored profanity filter preference (on unless turned off)
+ * @returns {boolean}
+ */
+export const getStoredProfanityFilter = () => localStorage.getItem('chat-profanity-filter') !== 'false';
@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { useGameStore } from '../store';
+import {
+	selectAuction,
+	selectBoard,
+	selectBalance,
+	selectUsername,
+	selectEliminated,
+	getMinimumBid
+} from '../store/selectors';
+import useNow from '../hooks/useNow';
+import RentTable from './RentTable';
+import { formatExpiry } from './TradeOfferModal';
+import './AuctionPanel.css';
+
+// Quick-bid steps added to the current high bid
+const QUICK_BID_STEPS = [10, 50, 100];
+
+/**
+ * Check a bid on the client before sending it (the server has the final say)
+ * @param {number} amount - Bid
+ * @param {Object} auction - Running auction
+ * @param {number} balance - Local player's cash
+ * @returns {string|null} - Problem, or null when the bid can be sent
+ */
+const checkBid = (amount, auction, balance) => {
+	const minimum = getMinimumBid(auction);
+	if (!Number.isInteger(amount)) return 'Enter a whole dollar amount';
+	if (amount < minimum) return `Bid at least $${minimum}`;
+	if (amount > balance) return `You only have $${balance}`;
+	return null;
+};
+
+/**
+ * AuctionPanel Component
+ * Live auction shown to every player in the board center: the tile and its rents,
+ * the high bid, a countdown, quick bids and a custom amount
+ * @param {Function} [onBid] - (id, amount) => void; omitted when bidding is not possible (replay)
+ * @param {Function} getPropertyColor - property color name -> CSS color
+ */
+const AuctionPanel = ({ onBid, getPropertyColor }) => {
+	const auction = useGameStore(selectAuction);
+	const board = useGameStore(selectBoard);
+	const balance = useGameStore(selectBalance);
+	const username = useGameStore(selectUsername);
+	const eliminated = useGameStore(selectEliminated);
+	const now = useNow(250);
+	const [customBid, setCustomBid] = useState('');
+	const [error, setError] = useState(null);
+
+	// Start every auction with an empty form
+	const auctionId = auction ? auction.id : null;
+	useEffect(() => {
+		setCustomBid('');
+		setError(null);
+	}, [auctionId]);
+
+	if (!auction) return null;
+
+	const tile = board.find(t => t.id === auction.property.id);
+	const name = tile ? tile.name : auction.property.name;
+	const isHighBidder = auction.highBidder === username;
+	const canBid = Boolean(onBid) && !eliminated.includes(username) && !isHighBidder;
+	const secondsLeft = Math.ceil((auction.endsAt - now) / 1000);
+
+	/**
+	 * Send a bid if it passes the client-side checks
+	 */
+	const bid = (amount) => {
+		const problem = checkBid(amount, auction, balance);
+		setError(problem);
+		if (problem) return;
+		onBid(auction.id, amount);
+		setCustomBid('');
+	};
+
+	const handleCustomBid = (e) => {
+		e.preventDefault();
+		bid(Number(customBid));
+	};
+
+	return (
+		<div className="auction-panel">
+			<div className="auction-header">
+				<span className="auction-label">🔨 Auction</span>
+				<span className={`auction-countdown${secondsLeft <= 3 ? ' ending' : ''}`}>
+					⏳ {formatExpiry(auction.endsAt, now)}
+				</span>
+			</div>
+
+			<h4 className="auction-property">{name}</h4>
+			{tile && tile.color && (
+				<div className="auction-color-bar" style={{ backgroundColor: getPropertyColor(tile.color) }} />
+			)}
+			{tile && <div className="auction-list-price">List price ${tile['owner-costs'][0]}</div>}
+
+			<RentTable tile={tile} />
+
+			<div className="auction-high-bid">
+				{auction.highBidder ? (
+					<>
+						High bid: <strong>${auction.highBid}</strong> by <strong>{isHighBidder ? 'you' : auction.highBidder}</strong>
+					</>
+				) : (
+					<>No bids yet - opening bid ${auction.minBid}</>
+				)}
+			</div>
+
+			{canBid && (
+				<div className="auction-controls">
+					<div className="auction-quick-bids">
+						{QUICK_BID_STEPS.map(step => {
+							const amount = auction.highBidder ? auction.highBid + step : Math.max(auction.minBid, step);
+							return (
+								<button
+									key={step}
+									className="auction-bid-btn"
+									onClick={() => bid(amount)}
+									disabled={amount > balance}
+									title={amount > balance ? 'Not enough money' : `Bid $${amount}`}
+								>
+									${amount}
+								</button>
+							);
+						})}
+					</div>
+					<form className="auction-custom-bid" onSubmit={handleCustomBid}>
+						<input
+							type="number"
+							min={getMinimumBid(auction)}
+							max={balance}
+							step="1"
+							placeholder={`$${getMinimumBid(auction)} or more`}
+							value={customBid}
+							onChange={(e) => setCustomBid(e.target.value)}
+						/>
+						<button type="submit" className="auction-bid-btn primary" disabled={customBid === ''}>
+							Bid
+						</button>
+					</form>
+					{error && <p className="auction-error">{error}</p>}
+				</div>
+			)}
+			{isHighBidder && <p className="auction-note">You are the highest bidder</p>}
+		</div>
+	);
+};
+
+export default AuctionPanel;
@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useGameStore } from '../store';
+import {
+	selectBoard,
+	selectOwnedProperties,
+	selectBalance,
+	selectBankSupply
+} from '../store/selectors';
+import { MAX_LEVEL, getColorSet, getColorSetBlocker, planBuilding } from '../rules';
+import { runBuildPlan } from '../services/buildPlan';
+import './BuildPlanner.css';
+
+/**
+ * Short label for a building level
+ * @param {number} level - 0-4 houses, 5 hotel
+ * @returns {string}
+ */
+const levelLabel = (level) => {
+	if (level === 0) return '—';
+	if (level === MAX_LEVEL) return '🏨';
+	return `🏠×${level}`;
+};
+
+/**
+ * BuildPlanner Component
+ * Plans building on a whole color set: pick a target level for each property,
+ * preview the cost, rents and remaining cash, then send the upgrades in an
+ * even-building order. Stops at the first upgrade the server rejects
+ * @param {number} tileId - Any property of the set
+ * @param {Function} onClose - Close the planner
+ */
+const BuildPlanner = ({ tileId, onClose }) => {
+	const board = useGameStore(selectBoard);
+	const ownedProperties = useGameStore(selectOwnedProperties);
+	const balance = useGameStore(selectBalance);
+	const bankSupply = useGameStore(selectBankSupply);
+
+	const tile = board.find(t => t.id === tileId);
+	const set = getColorSet(board, tile);
+	const levels = {};
+	set.forEach(t => {
+		levels[t.id] = ownedProperties.find(p => p.id === t.id)?.level || 0;
+	});
+
+	const [targets, setTargets] = useState(levels);
+	const [progress, setProgress] = useState(null);
+	const cancelled = useRef(false);
+
+	// Closing the planner stops a running plan after the current step
+	useEffect(() => () => {
+		cancelled.current = true;
+	}, []);
+
+	if (!tile || set.length === 0) return null;
+
+	const setBlocker = getColorSetBlocker(board, ownedProperties, tile);
+	const plan = planBuilding(set, levels, targets, bankSupply);
+	const remaining = balance - plan.cost;
+	const running = Boolean(progress && progress.running);
+	const blocker = setBlocker || plan.error || (remaining < 0 ? `You need $${-remaining} more` : null);
+
+	const changeTarget = (id, delta) => {
+		setProgress(null);
+		setTargets(current => ({
+			...current,
+			[id]: Math.min(MAX_LEVEL, Math.max(levels[id], current[id] + delta))
+		}));
+	};
+
+	/**
+	 * Raise every property to at least a level (never below what is built)
+	 */
+	const setAll = (level) => {
+		setProgress(null);
+		const next = {};
+		set.forEach(t => {
+			next[t.id] = Math.max(levels[t.id], level);
+		});
+		setTargets(next);
+	};
+
+	const build = async () => {
+		const total = plan.steps.length;
+		setProgress({ running: true, completed: 0, total, error: null });
+
+		const result = await runBuildPlan(plan.steps, {
+			onProgress: (completed) => {
+				if (!cancelled.current) setProgress(p => ({ ...p, completed }));
+			},
+			isCancelled: () => cancelled.current
+		});
+		if (!cancelled.current) {
+			setProgress({ running: false, total, ...result });
+		}
+	};
+
+	return (
+		<div className="build-planner-overlay" onClick={running ? undefined : onClose}>
+			<div className="build-planner" onClick={(e) => e.stopPropagation()}>
+				<div className="build-planner-header">
+					<h3>Build on the {tile.color} set</h3>
+					<button className="build-planner-close" onClick={onClose} disabled={running}>×</button>
+				</div>
+
+				<div className="build-planner-presets">
+					{[1, 2, 3, 4, MAX_LEVEL].map(level => (
+						<button
+							key={level}
+							className="build-planner-preset"
+							onClick={() => setAll(level)}
+							disabled={running}
+						>
+							{level === MAX_LEVEL ? 'All hotels' : `${level} each`}
+						</button>
+					))}
+				</div>
+
+				<table className="build-planner-table">
+					<thead>
+						<tr>
+							<th>Property</th>
+							<th>Now</th>
+							<th>Target</th>
+							<th>Rent</th>
+						</tr>
+					</thead>
+					<tbody>
+						{set.map(t => (
+							<tr key={t.id}>
+								<td>{t.name}</td>
+								<td>{levelLabel(levels[t.id])}</td>
+								<td>
+									<div className="build-planner-stepper">
+										<button
+											onClick={() => changeTarget(t.id, -1)}
+											disabled={running || targets[t.id] <= levels[t.id]}
+										>
+											−
+										</button>
+										<span>{levelLabel(targets[t.id])}</span>
+										<button
+											onClick={() => changeTarget(t.id, 1)}
+											disabled={running || targets[t.id] >= MAX_LEVEL}
+										>
+											+
+										</button>
+									</div>
+								</td>
+								<td>${t['trespass-costs']?.[targets[t.id]] ?? 0}</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+
+				<div className="build-planner-summary">
+					<div>
+						<span>Upgrades</span>
+						<strong>{plan.steps.length}</strong>
+					</div>
+					<div>
+						<span>Total cost</span>
+						<strong>${plan.cost}</strong>
+					</div>
+					<div className={remaining < 0 ? 'negative' : ''}>
+						<span>Cash left</span>
+						<strong>${remaining}</strong>
+					</div>
+				</div>
+
+				{bankSupply && (
+					<p className="build-planner-bank">
+						Bank supply: 🏠 {bankSupply.houses} · 🏨 {bankSupply.hotels}
+					</p>
+				)}
+
+				{blocker && !progress && (
+					<p className="build-planner-warning">⚠️ {blocker}</p>
+				)}
+
+				{progress && (
+					<p className={`build-planner-progress ${progress.error ? 'failed' : ''}`}>
+						{progress.running && `Building… ${progress.completed} of ${progress.total}`}
+						{!progress.running && !progress.error && `✅ Done: ${progress.completed} upgrade${progress.completed === 1 ? '' : 's'} built`}
+						{!progress.running && progress.error && `⚠️ Stopped after ${progress.completed} of ${progress.total}: ${progress.error}`}
+					</p>
+				)}
+
+				<div className="build-planner-actions">
+					<button className="build-planner-cancel" onClick={onClose} disabled={running}>
+						Close
+					</button>
+					<button
+						className="build-planner-build"
+						onClick={build}
+						disabled={running || Boolean(blocker) || plan.steps.length === 0}
+					>
+						Build{plan.steps.length > 0 ? ` (${plan.steps.length})` : ''}
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default BuildPlanner;
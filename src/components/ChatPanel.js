@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useChat, useGameStore } from '../store';
+import { selectUsername, selectPawns, getPawnColor } from '../store/selectors';
+import {
+	CHAT_MAX_LENGTH,
+	QUICK_EMOTES,
+	filterProfanity,
+	getStoredProfanityFilter,
+	storeProfanityFilter
+} from '../chat';
+import './ChatPanel.css';
+
+const selectMessages = (chat) => chat.messages;
+
+/**
+ * Format a message time as HH:MM
+ * @param {number} time - Epoch milliseconds
+ * @returns {string}
+ */
+const formatTime = (time) => new Date(time).toTimeString().slice(0, 5);
+
+/**
+ * ChatPanel Component
+ * Collapsible lobby chat with quick emotes; counts unread messages while collapsed
+ * Authors are colored by their pawn
+ * @param {Object[]} players - Players in the game
+ * @param {Function} [onSend] - (text) => void
+ * @param {Function} [onEmote] - (emote) => void
+ */
+const ChatPanel = ({ players, onSend, onEmote }) => {
+	const messages = useChat(selectMessages);
+	const username = useGameStore(selectUsername);
+	const pawns = useGameStore(selectPawns);
+	const [collapsed, setCollapsed] = useState(false);
+	const [draft, setDraft] = useState('');
+	const [filterEnabled, setFilterEnabled] = useState(getStoredProfanityFilter);
+	const [lastReadId, setLastReadId] = useState(0);
+	const listRef = useRef(null);
+
+	const newestId = messages.length > 0 ? messages[messages.length - 1].id : 0;
+	const unread = collapsed
+		? messages.filter(message => message.id > lastReadId && message.player !== username).length
+		: 0;
+
+	// Everything on screen counts as read; keep the newest message in view
+	useEffect(() => {
+		if (collapsed) return;
+		setLastReadId(newestId);
+		if (listRef.current) {
+			listRef.current.scrollTop = listRef.current.scrollHeight;
+		}
+	}, [collapsed, newestId]);
+
+	const toggleFilter = () => {
+		storeProfanityFilter(!filterEnabled);
+		setFilterEnabled(!filterEnabled);
+	};
+
+	const authorColor = (name) => {
+		const player = players.find(p => p.username === name);
+		return player && player.pawn ? getPawnColor(pawns, player.pawn) : 'var(--text-muted)';
+	};
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		const text = draft.trim();
+		if (!text) return;
+		onSend(text);
+		setDraft('');
+	};
+
+	const display = (text) => (filterEnabled ? filterProfanity(text) : text);
+
+	return (
+		<div className={`chat-panel${collapsed ? ' collapsed' : ''}`}>
+			<div className="chat-header">
+				<button
+					className="chat-toggle"
+					onClick={() => setCollapsed(!collapsed)}
+					aria-expanded={!collapsed}
+				>
+					<h4>💬 Chat</h4>
+					{unread > 0 && <span className="chat-unread">{unread > 99 ? '99+' : unread}</span>}
+					<span className="chat-chevron">{collapsed ? '▸' : '▾'}</span>
+				</button>
+				{!collapsed && (
+					<label className="chat-filter" title="Mask offensive words in chat">
+						<input type="checkbox" checked={filterEnabled} onChange={toggleFilter} />
+						Filter
+					</label>
+				)}
+			</div>
+
+			{!collapsed && (
+				<>
+					<div className="chat-messages" ref={listRef}>
+						{messages.length === 0 && <p className="chat-empty">No messages yet</p>}
+						{messages.map(message => {
+							if (message.system) {
+								return (
+									<div key={message.id} className="chat-message system">
+										{display(message.text)}
+									</div>
+								);
+							}
+							return (
+								<div
+									key={message.id}
+									className={`chat-message${message.emote ? ' emote' : ''}${message.player === username ? ' own' : ''}`}
+								>
+									<span className="chat-time">{formatTime(message.time)}</span>
+									<span className="chat-author" style={{ color: authorColor(message.player) }}>
+										{message.player}
+									</span>
+									<span className="chat-text">{message.emote ? message.text : display(message.text)}</span>
+								</div>
+							);
+						})}
+					</div>
+
+					{onEmote && (
+						<div className="chat-emotes">
+							{QUICK_EMOTES.map(emote => (
+								<button key={emote} className="chat-emote" onClick={() => onEmote(emote)} title={`Send ${emote}`}>
+									{emote}
+								</button>
+							))}
+						</div>
+					)}
+
+					{onSend && (
+						<form className="chat-form" onSubmit={handleSubmit}>
+							<input
+								type="text"
+								value={draft}
+								onChange={(e) => setDraft(e.target.value)}
+								maxLength={CHAT_MAX_LENGTH}
+								placeholder="Say something…"
+								aria-label="Chat message"
+							/>
+							<button type="submit" disabled={!draft.trim()}>Send</button>
+						</form>
+					)}
+				</>
+			)}
+		</div>
+	);
+};
+
+export default ChatPanel;
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import './ConnectionLostScreen.css';
+
+/**
+ * ConnectionLostScreen Component
+ * Blocking overlay shown once automatic reconnection has given up
+ */
+const ConnectionLostScreen = ({ visible, onRetry }) => {
+	const [isRetrying, setIsRetrying] = useState(false);
+
+	if (!visible) return null;
+
+	/**
+	 * Retry the connection; the overlay hides itself once the status changes
+	 */
+	const handleRetry = async () => {
+		setIsRetrying(true);
+		try {
+			await onRetry();
+		} catch (err) {
+			console.error('Manual reconnect failed:', err);
+		} finally {
+			setIsRetrying(false);
+		}
+	};
+
+	return (
+		<div className="connection-lost-overlay">
+			<div className="connection-lost">
+				<h3>Connection Lost</h3>
+				<p className="connection-lost-message">
+					We couldn't reach the game server. Your game is kept on the server,
+					so you can rejoin once the connection is back.
+				</p>
+				<button
+					className="connection-retry-btn"
+					onClick={handleRetry}
+					disabled={isRetrying}
+				>
+					{isRetrying ? 'Retrying...' : '🔄 Retry'}
+				</button>
+			</div>
+		</div>
+	);
+};
+
+export default ConnectionLostScreen;
@@ -0,0 +1,37 @@
+import React from 'react';
+import './ConnectionStatus.css';
+
+/**
+ * ConnectionStatus Component
+ * Small header badge showing connection state and heartbeat latency
+ */
+const ConnectionStatus = ({ status }) => {
+	if (!status || status.state === 'disconnected') return null;
+
+	/**
+	 * Get the badge label for the current connection state
+	 */
+	const getLabel = () => {
+		switch (status.state) {
+			case 'connecting':
+				return 'Connecting...';
+			case 'connected':
+				return status.latency !== null ? `Connected · ${status.latency} ms` : 'Connected';
+			case 'reconnecting':
+				return `Reconnecting ${status.attempt}/${status.maxAttempts}`;
+			case 'offline':
+				return 'Offline';
+			default:
+				return status.state;
+		}
+	};
+
+	return (
+		<div className={`connection-status ${status.state}`} role="status" aria-live="polite">
+			<span className="connection-status-dot" />
+			<span className="connection-status-label">{getLabel()}</span>
+		</div>
+	);
+};
+
+export default ConnectionStatus;
@@ -0,0 +1,167 @@
+import React from 'react';
+import { useGameStore } from '../store';
+import {
+	selectBoard,
+	selectOwnership,
+	selectUsername,
+	selectBalance,
+	selectBankSupply,
+	selectMyDebt
+} from '../store/selectors';
+import {
+	MAX_LEVEL,
+	getBuildingSaleValue,
+	getMortgageValue,
+	getLiquidationValue,
+	getSellBlocker,
+	getMortgageBlocker
+} from '../rules';
+import './DebtResolution.css';
+
+/**
+ * List what the local player can still turn into cash, one row per property
+ * @param {Object[]} board - Board tiles
+ * @param {Object} ownership - tile id -> { owner, level, mortgaged }
+ * @param {string} username - Local player
+ * @param {Object|null} bankSupply - Houses and hotels left in the bank
+ * @returns {{tile: Object, entry: Object, sell: Object|null, mortgage: Object|null, value: number}[]}
+ */
+const getLiquidationRows = (board, ownership, username, bankSupply) => board
+	.filter(tile => ownership[tile.id]?.owner === username)
+	.map(tile => {
+		const entry = ownership[tile.id];
+		return {
+			tile,
+			entry,
+			sell: entry.level > 0
+				? { value: getBuildingSaleValue(tile, entry.level), blocker: getSellBlocker(board, ownership, tile, username, bankSupply) }
+				: null,
+			mortgage: entry.mortgaged
+				? null
+				: { value: getMortgageValue(tile), blocker: getMortgageBlocker(board, ownership, tile, username) },
+			value: getLiquidationValue(tile, entry)
+		};
+	})
+	.filter(row => row.value > 0);
+
+/**
+ * DebtResolution Component
+ * Blocking screen for a payment the local player cannot cover: the amount owed
+ * and to whom, what can still be sold or mortgaged, and live totals as cash
+ * comes in. Pays once the cash is there; bankruptcy hands everything to the
+ * creditor
+ * @param {Function} [onSellBuilding] - (propertyId) => void
+ * @param {Function} [onMortgage] - (propertyId) => void
+ * @param {Function} [onPay] - Pay the debt
+ * @param {Function} [onDeclareBankruptcy] - Give up
+ */
+const DebtResolution = ({ onSellBuilding, onMortgage, onPay, onDeclareBankruptcy }) => {
+	const board = useGameStore(selectBoard);
+	const ownership = useGameStore(selectOwnership);
+	const username = useGameStore(selectUsername);
+	const balance = useGameStore(selectBalance);
+	const bankSupply = useGameStore(selectBankSupply);
+	const debt = useGameStore(selectMyDebt);
+
+	if (!debt) return null;
+
+	const creditor = debt.creditor || 'the Bank';
+	const rows = getLiquidationRows(board, ownership, username, bankSupply);
+	const raisable = rows.reduce((total, row) => total + row.value, 0);
+	const shortfall = Math.max(0, debt.amount - balance);
+	const canPay = shortfall === 0;
+	const hopeless = balance + raisable < debt.amount;
+
+	const handleBankruptcy = () => {
+		if (window.confirm(`Declare bankruptcy? Your cash and properties go to ${creditor} and you leave the game.`)) {
+			onDeclareBankruptcy();
+		}
+	};
+
+	return (
+		<div className="debt-overlay">
+			<div className="debt-modal" role="dialog" aria-labelledby="debt-title">
+				<h3 id="debt-title">💸 You Owe ${debt.amount}</h3>
+				<p className="debt-creditor">to <strong>{creditor}</strong>. Raise the cash by selling buildings or mortgaging, then pay.</p>
+
+				<div className="debt-totals">
+					<div>
+						<span className="debt-total-label">Cash</span>
+						<span className="debt-total-value">${balance}</span>
+					</div>
+					<div>
+						<span className="debt-total-label">Still needed</span>
+						<span className={`debt-total-value${canPay ? ' covered' : ' short'}`}>${shortfall}</span>
+					</div>
+					<div>
+						<span className="debt-total-label">Can still raise</span>
+						<span className="debt-total-value">${raisable}</span>
+					</div>
+				</div>
+
+				{rows.length === 0 ? (
+					<p className="debt-empty">Nothing left to sell or mortgage</p>
+				) : (
+					<ul className="debt-assets">
+						{rows.map(({ tile, entry, sell, mortgage }) => (
+							<li key={tile.id} className="debt-asset">
+								<span className="debt-asset-name">
+									{tile.name}
+									{entry.level > 0 && (
+										<span className="debt-asset-level">{entry.level === MAX_LEVEL ? ' 🏨' : ` 🏠×${entry.level}`}</span>
+									)}
+								</span>
+								{sell && (
+									<button
+										className="debt-asset-btn"
+										onClick={() => onSellBuilding(tile.id)}
+										disabled={!onSellBuilding || Boolean(sell.blocker)}
+										title={sell.blocker || `Sell one ${entry.level === MAX_LEVEL ? 'hotel' : 'house'} back to the bank`}
+									>
+										Sell +${sell.value}
+									</button>
+								)}
+								{mortgage && (
+									<button
+										className="debt-asset-btn"
+										onClick={() => onMortgage(tile.id)}
+										disabled={!onMortgage || Boolean(mortgage.blocker)}
+										title={mortgage.blocker || 'Mortgage for half the price'}
+									>
+										Mortgage +${mortgage.value}
+									</button>
+								)}
+							</li>
+						))}
+					</ul>
+				)}
+
+				{hopeless && (
+					<p className="debt-warning">
+						Even selling everything leaves you ${debt.amount - balance - raisable} short.
+					</p>
+				)}
+
+				<div className="debt-actions">
+					<button
+						className="debt-pay-btn"
+						onClick={onPay}
+						disabled={!onPay || !canPay}
+						title={canPay ? `Pay $${debt.amount} to ${creditor}` : `You need $${shortfall} more`}
+					>
+						Pay ${debt.amount}
+					</button>
+					<button
+						className="debt-bankrupt-btn"
+						onClick={handleBankruptcy}
+						disabled={!onDeclareBankruptcy}
+					>
+						Declare Bankruptcy
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default DebtResolution;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import './Dice.css';
+
+// How long (ms) the dice tumble before settling on the rolled values
+const ROLL_DURATION = 600;
+const FACE_INTERVAL = 80;
+
+// Pip cells (0-8, row by row on a 3x3 grid) for each face value
+const PIPS = {
+	1: [4],
+	2: [2, 6],
+	3: [2, 4, 6],
+	4: [0, 2, 6, 8],
+	5: [0, 2, 4, 6, 8],
+	6: [0, 2, 3, 5, 6, 8]
+};
+
+const randomFace = () => 1 + Math.floor(Math.random() * 6);
+
+/**
+ * Single die face
+ */
+const Die = ({ value, rolling }) => (
+	<div className={`die${rolling ? ' rolling' : ''}`} aria-label={`Die showing ${value}`}>
+		{Array.from({ length: 9 }, (_, cell) => (
+			<span key={cell} className={`die-cell${(PIPS[value] || []).includes(cell) ? ' pip' : ''}`} />
+		))}
+	</div>
+);
+
+/**
+ * Dice Component
+ * Shows the latest roll in the board center, tumbling briefly whenever a new roll arrives.
+ * A roll inferred from a move has no dice, so only its total is shown
+ * @param {Object|null} roll - Latest roll from the store ({ player, dice, total, doubles, inferred, sequence })
+ * @param {boolean} reducedMotion - Skip the tumble animation
+ */
+const Dice = ({ roll, reducedMotion = false }) => {
+	const [faces, setFaces] = useState(roll?.dice || [1, 1]);
+	const [rolling, setRolling] = useState(false);
+
+	useEffect(() => {
+		if (!roll || !roll.dice) {
+			setRolling(false);
+			return undefined;
+		}
+		if (reducedMotion) {
+			setFaces(roll.dice);
+			setRolling(false);
+			return undefined;
+		}
+
+		setRolling(true);
+		const interval = setInterval(() => {
+			setFaces(roll.dice.map(randomFace));
+		}, FACE_INTERVAL);
+		const timeout = setTimeout(() => {
+			clearInterval(interval);
+			setFaces(roll.dice);
+			setRolling(false);
+		}, ROLL_DURATION);
+
+		return () => {
+			clearInterval(interval);
+			clearTimeout(timeout);
+		};
+	}, [roll?.sequence, reducedMotion]);
+
+	if (!roll) {
+		return <div className="dice dice-idle">🎲 Waiting for the first roll</div>;
+	}
+
+	if (!roll.dice) {
+		return (
+			<div className="dice" role="status" aria-live="polite">
+				<div className="dice-total" title="The server sent the move but not the dice">{roll.total}</div>
+				<div className="dice-result">
+					<strong>{roll.player}</strong> moved {roll.total}
+					<span className="dice-inferred">inferred total</span>
+				</div>
+			</div>
+		);
+	}
+
+	return (
+		<div className="dice" role="status" aria-live="polite">
+			<div className="dice-faces">
+				{faces.map((value, idx) => (
+					<Die key={idx} value={value} rolling={rolling} />
+				))}
+			</div>
+			<div className={`dice-result${rolling ? ' hidden' : ''}`}>
+				<strong>{roll.player}</strong> rolled {roll.total}
+				{roll.doubles && <span className="dice-doubles">Doubles!</span>}
+			</div>
+		</div>
+	);
+};
+
+export default Dice;
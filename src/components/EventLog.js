@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useEventLog } from '../store';
+import './EventLog.css';
+
+const selectEntries = (log) => log.entries;
+
+// Distance (px) from the bottom within which the log keeps following new entries
+const STICK_THRESHOLD = 24;
+
+/**
+ * Format an entry time as HH:MM:SS
+ * @param {number} time - Epoch milliseconds
+ * @returns {string}
+ */
+const formatTime = (time) => new Date(time).toTimeString().slice(0, 8);
+
+/**
+ * Download log entries as a plain text file
+ * @param {Object[]} entries - Entries to export
+ * @param {string} filter - Player filter used, for the file name
+ */
+const exportEntries = (entries, filter) => {
+	const text = entries.map(item => `[${formatTime(item.time)}] ${item.text}`).join('\n');
+	const blob = new Blob([text + '\n'], { type: 'text/plain' });
+	const url = URL.createObjectURL(blob);
+
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = `monopoly-log${filter ? `-${filter}` : ''}-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
+};
+
+/**
+ * EventLog Component
+ * Persistent, filterable log of game events with timestamps and text export
+ * @param {Object[]} players - Players in the game (for the filter)
+ */
+const EventLog = ({ players }) => {
+	const entries = useEventLog(selectEntries);
+	const [filter, setFilter] = useState('');
+	const listRef = useRef(null);
+	const stickToBottom = useRef(true);
+
+	const visible = filter ? entries.filter(item => item.players.includes(filter)) : entries;
+
+	// Follow new entries unless the user scrolled up to read older ones
+	useEffect(() => {
+		const list = listRef.current;
+		if (list && stickToBottom.current) {
+			list.scrollTop = list.scrollHeight;
+		}
+	}, [visible.length, filter]);
+
+	const handleScroll = () => {
+		const list = listRef.current;
+		stickToBottom.current = list.scrollHeight - list.scrollTop - list.clientHeight < STICK_THRESHOLD;
+	};
+
+	return (
+		<div className="event-log">
+			<div className="event-log-header">
+				<h4>Event Log</h4>
+				<select
+					className="event-log-filter"
+					value={filter}
+					onChange={(e) => setFilter(e.target.value)}
+					aria-label="Filter events by player"
+				>
+					<option value="">All players</option>
+					{players.map(player => (
+						<option key={player.username} value={player.username}>{player.username}</option>
+					))}
+				</select>
+				<button
+					className="event-log-export"
+					onClick={() => exportEntries(visible, filter)}
+					disabled={visible.length === 0}
+					title="Export as text"
+				>
+					⬇
+				</button>
+			</div>
+
+			<ol className="event-log-list" ref={listRef} onScroll={handleScroll}>
+				{visible.length === 0 ? (
+					<li className="event-log-empty">No events yet</li>
+				) : (
+					visible.map(item => (
+						<li key={item.id} className={`event-log-entry ${item.kind}`}>
+							<time className="event-log-time">{formatTime(item.time)}</time>
+							<span className="event-log-text">{item.text}</span>
+						</li>
+					))
+				)}
+			</ol>
+		</div>
+	);
+};
+
+export default EventLog;
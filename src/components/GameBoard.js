@@ -1,7 +1,44 @@
 import React from 'react';
+import { useGameStore, useStats } from '../store';
+import {
+	selectBoard,
+	selectPlayers,
+	selectPawns,
+	selectCurrentTurn,
+	selectPositions,
+	selectBalance,
+	selectOwnedProperties,
+	selectOwnership,
+	selectIsHost,
+	selectLobbyCode,
+	selectLastRoll,
+	selectRollHistory,
+	selectAuction,
+	selectTurn,
+	selectEliminated,
+	selectJail,
+	selectUsername,
+	getJailStatus,
+	getTileOccupants,
+	getTurnControls,
+	getPawnColor
+} from '../store/selectors';
+import { getPropertyColor } from '../theme';
+import usePawnAnimation from '../hooks/usePawnAnimation';
+import Dice from './Dice';
+import RollHistory from './RollHistory';
+import PlayerDashboard from './PlayerDashboard';
+import EventLog from './EventLog';
+import TradeList from './TradeList';
+import AuctionPanel from './AuctionPanel';
+import JailPanel from './JailPanel';
+import ChatPanel from './ChatPanel';
+import WealthChart from './WealthChart';
 import './GameBoard.css';
 
 
+const selectHistory = (stats) => stats.history;
+
 function arrayToRGB(arr) {
     // console.log("arrayToRGB func:")
     // console.log(arr, " length=", arr.length)
@@ -22,8 +59,49 @@ function arrayToRGB(arr) {
 /**
  * GameBoard Component
  * Displays the Monopoly game board in a square layout
+ * Game state is read from the game store; props carry transient UI state only
+ * Pawn moves are animated tile by tile unless reducedMotion is set
+ * The turn buttons follow the local turn phase
  */
-const GameBoard = ({ board, players, pawns, currentTurn, playerData, balanceNotification, gameNotification, playerPositions, isHost, lobbyCode, onPropertyClick }) => {
+const GameBoard = ({
+	balanceNotification,
+	gameNotification,
+	actionStatus = {},
+	onPropertyClick,
+	onRoll,
+	onEndTurn,
+	onEndGame,
+	onShowChoice,
+	onPayJailFine,
+	onUseJailCard,
+	onOpenTrade,
+	onReviewTrade,
+	onCancelTrade,
+	onBid,
+	onSendChat,
+	onEmote,
+	reducedMotion = false
+}) => {
+	const board = useGameStore(selectBoard);
+	const players = useGameStore(selectPlayers);
+	const pawns = useGameStore(selectPawns);
+	const currentTurn = useGameStore(selectCurrentTurn);
+	const playerPositions = useGameStore(selectPositions);
+	const balance = useGameStore(selectBalance);
+	const ownedProperties = useGameStore(selectOwnedProperties);
+	const ownership = useGameStore(selectOwnership);
+	const isHost = useGameStore(selectIsHost);
+	const lobbyCode = useGameStore(selectLobbyCode);
+	const lastRoll = useGameStore(selectLastRoll);
+	const rollHistory = useGameStore(selectRollHistory);
+	const auction = useGameStore(selectAuction);
+	const turn = useGameStore(selectTurn);
+	const eliminated = useGameStore(selectEliminated);
+	const jail = useGameStore(selectJail);
+	const username = useGameStore(selectUsername);
+	const history = useStats(selectHistory);
+	const animation = usePawnAnimation(playerPositions, board, !reducedMotion, jail);
+
 	if (!board || board.length === 0) {
 		return (
 			<div className="game-board-container">
@@ -32,21 +110,26 @@ const GameBoard = ({ board, players, pawns, currentTurn, playerData, balanceNoti
 		);
 	}
 
-	/**
-	 * Get pawn color RGB string for a player
-	 */
-	const getPawnColor = (pawnName) => {
-		let color =  pawnName ? pawns.filter(pawn => { return pawn.name === pawnName })[0].rgb : '#999';
-        console.log("[DEBUG]: ", color)
-        return "rgb" + color
-	};
+	const pawnColor = (name) => getPawnColor(pawns, name);
+
+	const controls = getTurnControls(turn, currentTurn, Boolean(auction));
+	const myJail = getJailStatus(jail, username);
+	// Bankrupt players' pawns leave the board
+	const playersOnBoard = players.filter(player => !eliminated.includes(player.username));
 
 	/**
-	 * Get players at a specific tile position
+	 * Render the delivery status of an outbound action next to its button
 	 */
-	const getPlayersAtPosition = (tileId) => {
-		if (!playerPositions || !players) return [];
-		return players.filter(player => playerPositions[player.username] === tileId);
+	const renderActionStatus = (messageType) => {
+		const status = actionStatus[messageType];
+		if (!status) return null;
+
+		const labels = {
+			queued: '⏳ Queued - reconnecting',
+			sent: '✓ Sent',
+			expired: '⚠️ Not delivered'
+		};
+		return <span className={`action-status ${status}`}>{labels[status]}</span>;
 	};
 
 	/**
@@ -60,41 +143,56 @@ const GameBoard = ({ board, players, pawns, currentTurn, playerData, balanceNoti
 		return '';
 	};
 
-	/**
-	 * Get color hex value for a tile property color
-	 * Maps monopoly color names to actual colors
-	 */
-	const getPropertyColor = (color) => {
-		const colorMap = {
-			'brown': '#8B4513',
-			'cyan': '#87CEEB',
-			'magenta': '#FF00FF',
-			'orange': '#FFA500',
-			'red': '#FF0000',
-			'yellow': '#FFFF00',
-			'green': '#00FF00',
-			'blue': '#0000FF',
-			'purple': '#800080'
-		};
-		return colorMap[color.toLowerCase()] || 'transparent';
-	};
-
 	/**
 	 * Render a single tile on the board
 	 */
 	const renderTile = (tile, position) => {
 		const isProperty = tile.type === 'property';
 		const propertyColor = isProperty ? getPropertyColor(tile.color) : null;
-		const playersOnTile = getPlayersAtPosition(tile.id);
+		const playersOnTile = getTileOccupants(playersOnBoard, animation.positions, tile.id);
+		const { movement } = animation;
+		const movingPlayer = movement && players.find(player => player.username === movement.player);
+		const isTrail = Boolean(movingPlayer && movement.trail.includes(tile.id));
+		const isPassingGo = animation.passingGo && tile.id === 0;
+
+		// Owner marker and buildings, for every player's properties
+		const tileOwnership = ownership[tile.id];
+		const owner = tileOwnership && players.find(player => player.username === tileOwnership.owner);
+		const ownerColor = owner && owner.pawn ? pawnColor(owner.pawn) : '#999';
+		const level = tileOwnership ? tileOwnership.level : 0;
+		const isMortgaged = Boolean(tileOwnership && tileOwnership.mortgaged);
+
+		const tileStyle = {};
+		if (isTrail) tileStyle['--trail-color'] = pawnColor(movingPlayer.pawn);
+		if (tileOwnership) tileStyle['--owner-color'] = ownerColor;
 
 		return (
-			<div key={tile.id} className={`tile tile-${position}`} data-tile-id={tile.id}>
+			<div
+				key={tile.id}
+				className={`tile tile-${position}${tileOwnership ? ' owned' : ''}${isMortgaged ? ' mortgaged' : ''}${isTrail ? ' pawn-trail' : ''}${isPassingGo ? ' passing-go' : ''}`}
+				data-tile-id={tile.id}
+				style={tileStyle}
+			>
 				{propertyColor && (
 					<div
 						className="property-color-bar"
 						style={{ backgroundColor: propertyColor }}
+					>
+						{level > 0 && (
+							<span className="tile-buildings" title={level === 5 ? 'Hotel' : `${level} house${level > 1 ? 's' : ''}`}>
+								{getLevelDisplay(level)}
+							</span>
+						)}
+					</div>
+				)}
+				{tileOwnership && (
+					<span
+						className="tile-owner-flag"
+						style={{ backgroundColor: ownerColor }}
+						title={`Owned by ${tileOwnership.owner}${isMortgaged ? ' (mortgaged)' : ''}`}
 					/>
 				)}
+				{isMortgaged && <span className="tile-mortgaged" title="Mortgaged">M</span>}
 				<div className="tile-content">
 					<span className="tile-name">{tile.name}</span>
 					{tile.type !== 'property' && tile.type !== 'transport' && tile.type !== 'utility' && (
@@ -108,17 +206,21 @@ const GameBoard = ({ board, players, pawns, currentTurn, playerData, balanceNoti
 				{/* Render pawns on this tile */}
 				{playersOnTile.length > 0 && (
 					<div className="tile-pawns">
-						{playersOnTile.map((player, idx) => (
-							<div
-								key={player.username}
-								className="tile-pawn"
-								style={{
-									backgroundColor: getPawnColor(player.pawn),
-									zIndex: idx + 1
-								}}
-								title={player.username}
-							/>
-						))}
+						{playersOnTile.map((player, idx) => {
+							const jailed = getJailStatus(jail, player.username).jailed;
+							return (
+								<div
+									key={player.username}
+									className={`tile-pawn${movement && movement.player === player.username ? ' moving' : ''}${jailed ? ' jailed' : ''}`}
+									style={{
+										backgroundColor: pawnColor(player.pawn),
+										zIndex: idx + 1,
+										'--step-duration': movement ? `${movement.stepDuration}ms` : undefined
+									}}
+									title={jailed ? `${player.username} (in jail)` : player.username}
+								/>
+							);
+						})}
 					</div>
 				)}
 			</div>
@@ -142,7 +244,7 @@ const GameBoard = ({ board, players, pawns, currentTurn, playerData, balanceNoti
 	const rightTiles = sortedBoard.slice(31, 40);    // 31-39
 
 		return (
-		<div className="game-board-container">
+		<div className={`game-board-container${reducedMotion ? ' reduced-motion' : ''}`}>
 			{/* Balance notification */}
 			{balanceNotification !== null && (
 				<div className={`balance-notification ${balanceNotification > 0 ? 'positive' : 'negative'}`}>
@@ -170,53 +272,98 @@ const GameBoard = ({ board, players, pawns, currentTurn, playerData, balanceNoti
 					<h3>Your Stats</h3>
 					
 					{/* Action Buttons */}
+					<p className={`turn-status phase-${turn.phase}`}>
+						{controls.status}
+						{onShowChoice && (
+							<button className="turn-status-link" onClick={onShowChoice}>Show choice</button>
+						)}
+					</p>
+					<JailPanel
+						roll={controls.roll}
+						onRoll={onRoll}
+						onPayFine={onPayJailFine}
+						onUseCard={onUseJailCard}
+					/>
 					<div className="action-buttons">
-						<button className="action-btn roll-btn" onClick={() => window.wsService?.requestRoll()}>
-							🎲 Roll Dice
-						</button>
-						<button className="action-btn finish-btn" onClick={() => window.wsService?.finishTurn(window.currentUsername)}>
-							✓ End Turn
-						</button>
+						{!myJail.jailed && (
+							<div className="action-item">
+								<button
+									className="action-btn roll-btn"
+									onClick={onRoll}
+									disabled={!onRoll || !controls.roll.enabled}
+									title={controls.roll.hint}
+								>
+									🎲 Roll Dice
+								</button>
+								{renderActionStatus('REQUEST_ROLL')}
+							</div>
+						)}
+						<div className="action-item">
+							<button
+								className="action-btn finish-btn"
+								onClick={onEndTurn}
+								disabled={!onEndTurn || !controls.end.enabled}
+								title={controls.end.hint}
+							>
+								✓ End Turn
+							</button>
+							{renderActionStatus('FINISH_TURN')}
+						</div>
 					</div>
+					{onOpenTrade && currentTurn && (
+						<button className="action-btn trade-btn" onClick={onOpenTrade}>
+							🤝 Propose Trade
+						</button>
+					)}
 
 					{/* Player balance and properties */}
-					{playerData && (
-						<div className="player-info-panel">
-							<div className="balance-display">
-								<span className="balance-label">Balance:</span>
-								<span className="balance-amount">${playerData.balance}</span>
+					<div className="player-info-panel">
+						<div className="balance-display">
+							<span className="balance-label">Balance:</span>
+							<span className="balance-amount">${balance}</span>
+						</div>
+						{myJail.cards > 0 && (
+							<div className="jail-cards" title="Get Out of Jail Free cards; use one while in jail">
+								🎟️ Get Out of Jail Free ×{myJail.cards}
 							</div>
-							
-							{playerData.ownedProperties && playerData.ownedProperties.length > 0 && (
-								<div className="owned-properties">
-									<h4>Your Properties</h4>
-									<div className="properties-list">
-										{playerData.ownedProperties.map((property, idx) => (
+						)}
+						
+						{ownedProperties.length > 0 && (
+							<div className="owned-properties">
+								<h4>Your Properties</h4>
+								<div className="properties-list">
+									{ownedProperties.map((property, idx) => (
+										<div 
+											key={idx} 
+											className={`property-card clickable${ownership[property.id]?.mortgaged ? ' mortgaged' : ''}`}
+											onClick={() => onPropertyClick && onPropertyClick(property)}
+											title="Click to view details and upgrade"
+										>
 											<div 
-												key={idx} 
-												className="property-card clickable"
-												onClick={() => onPropertyClick && onPropertyClick(property)}
-												title="Click to view details and upgrade"
-											>
-												<div 
-													className="property-card-color" 
-													style={{ backgroundColor: getPropertyColor(property.color) }}
-												/>
-												<div className="property-card-info">
-													<div className="property-card-name">{property.name}</div>
-													{property.level !== undefined && (
-														<div className="property-card-level">
-															{getLevelDisplay(property.level)}
-														</div>
-													)}
-												</div>
+												className="property-card-color" 
+												style={{ backgroundColor: getPropertyColor(property.color) }}
+											/>
+											<div className="property-card-info">
+												<div className="property-card-name">{property.name}</div>
+												{ownership[property.id]?.mortgaged && (
+													<div className="property-card-mortgaged">🏦 Mortgaged</div>
+												)}
+												{property.level !== undefined && (
+													<div className="property-card-level">
+														{getLevelDisplay(property.level)}
+													</div>
+												)}
 											</div>
-										))}
-									</div>
+										</div>
+									))}
 								</div>
-							)}
-						</div>
-					)}
+							</div>
+						)}
+					</div>
+
+					<TradeList onReview={onReviewTrade} onCancel={onCancelTrade} />
+
+					<EventLog players={players} />
 				</div>
 
 				{/* Center - Game Board */}
@@ -233,10 +380,15 @@ const GameBoard = ({ board, players, pawns, currentTurn, playerData, balanceNoti
 						{[...leftTiles].reverse().map(tile => renderTile(tile, 'left'))}
 					</div>
 
-					{/* Center area - board title */}
+					{/* Center area - board title and dice, or the running auction */}
 					<div className="board-center">
 						<div className="center-content">
 							<h3>Monopoly</h3>
+							{auction ? (
+								<AuctionPanel onBid={onBid} getPropertyColor={getPropertyColor} />
+							) : (
+								<Dice roll={lastRoll} reducedMotion={reducedMotion} />
+							)}
 						</div>
 					</div>
 
@@ -256,21 +408,13 @@ const GameBoard = ({ board, players, pawns, currentTurn, playerData, balanceNoti
 		<div className="side-panel right-panel">
 			<h3>Players</h3>
 			
-			{/* Start Game / End Game button for host */}
-			{isHost && !currentTurn && (
-				<button 
-					className="start-game-btn"
-					onClick={() => window.wsService?.startGame()}
-				>
-					🎮 Start Game
-				</button>
-			)}
-			{isHost && currentTurn && (
+			{/* End Game button for host (the game is started from the lobby room) */}
+			{isHost && currentTurn && onEndGame && (
 				<button 
 					className="end-game-btn"
 					onClick={() => {
 						if (window.confirm('Are you sure you want to end the game?')) {
-							window.wsService?.endGame();
+							onEndGame();
 						}
 					}}
 				>
@@ -288,22 +432,29 @@ const GameBoard = ({ board, players, pawns, currentTurn, playerData, balanceNoti
 				{!isHost && lobbyCode && (
 					<div className="lobby-code-label">Lobby Code: <strong>{lobbyCode}</strong></div>
 				)}
-				{players && players.length > 0 ? (
-					players.map((player, idx) => (
-						<div key={idx} className="player-item">
-							<span
-								className="player-pawn"
-								style={{
-									backgroundColor: player.pawn ? getPawnColor(player.pawn) : '#999'
-								}}
-							/>
-							<span className="player-name">{player.username}</span>
-						</div>
-					))
-				) : (
-					<p className="no-players">No players yet</p>
-				)}
+				<PlayerDashboard
+					players={players}
+					getPawnColor={pawnColor}
+					getPropertyColor={getPropertyColor}
+					getLevelDisplay={getLevelDisplay}
+				/>
 			</div>
+
+			<RollHistory players={players} history={rollHistory} />
+
+			<WealthChart
+				title="Money Over Time"
+				history={history}
+				players={players}
+				pawns={pawns}
+				compact
+			/>
+
+			<ChatPanel
+				players={players}
+				onSend={onSendChat}
+				onEmote={onEmote}
+			/>
 		</div>
 	</div>
 	</div>
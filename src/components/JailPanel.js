@@ -0,0 +1,83 @@
+import React from 'react';
+import config from '../config';
+import { useGameStore } from '../store';
+import {
+	selectTurn,
+	selectBalance,
+	selectJailFine,
+	selectMyJailStatus,
+	getJailControls
+} from '../store/selectors';
+import './JailPanel.css';
+
+/**
+ * JailPanel Component
+ * Shown to a jailed player in place of the Roll button: pay the fine, use a
+ * Get Out of Jail Free card or roll for doubles, with the rolls left before
+ * the fine is due
+ * @param {{enabled: boolean, hint: string}} roll - Roll control from getTurnControls
+ * @param {Function} [onRoll] - Roll for doubles
+ * @param {Function} [onPayFine] - Pay the fine
+ * @param {Function} [onUseCard] - Use a Get Out of Jail Free card
+ */
+const JailPanel = ({ roll, onRoll, onPayFine, onUseCard }) => {
+	const turn = useGameStore(selectTurn);
+	const balance = useGameStore(selectBalance);
+	const fine = useGameStore(selectJailFine);
+	const jailStatus = useGameStore(selectMyJailStatus);
+
+	if (!jailStatus.jailed) return null;
+
+	const controls = getJailControls(turn, jailStatus, fine, balance);
+	const tries = Math.max(config.game.jailTurns, jailStatus.turnsLeft);
+
+	return (
+		<div className="jail-panel">
+			<div className="jail-header">
+				<h4>🔒 In Jail</h4>
+				<span
+					className="jail-turns"
+					title={`${jailStatus.turnsLeft} roll${jailStatus.turnsLeft === 1 ? '' : 's'} left before the fine is due`}
+				>
+					{Array.from({ length: tries }, (_, i) => (
+						<span key={i} className={`jail-turn${i < jailStatus.turnsLeft ? ' left' : ''}`} />
+					))}
+					<span className="jail-turns-label">{jailStatus.turnsLeft} left</span>
+				</span>
+			</div>
+
+			<div className="jail-options">
+				<button
+					className="jail-btn pay"
+					onClick={onPayFine}
+					disabled={!onPayFine || !controls.payFine.enabled}
+					title={controls.payFine.hint}
+				>
+					💵 Pay ${fine}
+				</button>
+				<button
+					className="jail-btn card"
+					onClick={onUseCard}
+					disabled={!onUseCard || !controls.useCard.enabled}
+					title={controls.useCard.hint}
+				>
+					🎟️ Use Card{jailStatus.cards > 0 ? ` (${jailStatus.cards})` : ''}
+				</button>
+				<button
+					className="jail-btn roll"
+					onClick={onRoll}
+					disabled={!onRoll || !roll.enabled}
+					title={roll.hint}
+				>
+					🎲 Roll for Doubles
+				</button>
+			</div>
+
+			{jailStatus.turnsLeft === 1 && (
+				<p className="jail-warning">Last try: without doubles you pay ${fine} and move anyway</p>
+			)}
+		</div>
+	);
+};
+
+export default JailPanel;
@@ -0,0 +1,126 @@
+import React, { useState, useRef } from 'react';
+import './LineChart.css';
+
+// Padding around the plot and the reach of the hover (SVG units)
+const PADDING = 6;
+const HOVER_RADIUS = 16;
+
+/**
+ * Find the noted point closest to a position
+ * @param {Object[]} plotted - Series with their points in SVG units
+ * @param {number} px - X position
+ * @param {number} py - Y position
+ * @returns {{series: Object, point: Object}|null}
+ */
+const findNearest = (plotted, px, py) => {
+	let nearest = null;
+	let best = HOVER_RADIUS * HOVER_RADIUS;
+	plotted.forEach(series => {
+		series.points.forEach(point => {
+			if (point.note === undefined) return;
+			const distance = (point.px - px) ** 2 + (point.py - py) ** 2;
+			if (distance <= best) {
+				best = distance;
+				nearest = { series, point };
+			}
+		});
+	});
+	return nearest;
+};
+
+/**
+ * LineChart Component
+ * Dependency-free SVG line chart with one line per series. Hovering near a
+ * point that has a note shows the series, the value and the note
+ * @param {{id: string, label: string, color: string, points: {x: number, y: number, note?: string}[]}[]} series - Lines to draw
+ * @param {number} [width=300] - Chart width in SVG units (the chart scales to its container)
+ * @param {number} [height=120] - Chart height in SVG units
+ * @param {boolean} [step=false] - Hold each value until the next point instead of sloping
+ * @param {Function} [formatValue] - (y) => string for the axis and the tooltip
+ * @param {string} [ariaLabel] - Description for screen readers
+ */
+const LineChart = ({ series, width = 300, height = 120, step = false, formatValue = String, ariaLabel }) => {
+	const [hovered, setHovered] = useState(null);
+	const svgRef = useRef(null);
+
+	const points = series.flatMap(s => s.points);
+	if (points.length === 0) {
+		return <p className="line-chart-empty">No data yet</p>;
+	}
+
+	const xs = points.map(p => p.x);
+	const ys = points.map(p => p.y);
+	const xMin = Math.min(...xs);
+	const xMax = Math.max(xMin + 1, ...xs);
+	// Fit the values rather than starting at zero so small changes stay visible
+	const yMin = Math.min(...ys);
+	const yMax = Math.max(yMin + 1, ...ys);
+	const scaleX = (x) => PADDING + ((x - xMin) / (xMax - xMin)) * (width - 2 * PADDING);
+	const scaleY = (y) => height - PADDING - ((y - yMin) / (yMax - yMin)) * (height - 2 * PADDING);
+
+	const plotted = series.map(s => ({
+		...s,
+		points: s.points.map(p => ({ ...p, px: scaleX(p.x), py: scaleY(p.y) }))
+	}));
+
+	const pathOf = (plottedPoints) => plottedPoints.flatMap((p, i) => {
+		const previous = plottedPoints[i - 1];
+		return step && previous ? [`${p.px},${previous.py}`, `${p.px},${p.py}`] : [`${p.px},${p.py}`];
+	}).join(' ');
+
+	const handleMouseMove = (event) => {
+		const rect = svgRef.current.getBoundingClientRect();
+		if (rect.width === 0 || rect.height === 0) return;
+		const px = ((event.clientX - rect.left) / rect.width) * width;
+		const py = ((event.clientY - rect.top) / rect.height) * height;
+		const nearest = findNearest(plotted, px, py);
+		setHovered(nearest ? { id: nearest.series.id, x: nearest.point.x } : null);
+	};
+
+	const active = hovered && plotted
+		.filter(s => s.id === hovered.id)
+		.map(s => ({ series: s, point: s.points.find(p => p.x === hovered.x && p.note !== undefined) }))
+		.find(match => match.point);
+
+	return (
+		<div className="line-chart">
+			<svg
+				ref={svgRef}
+				viewBox={`0 0 ${width} ${height}`}
+				role="img"
+				aria-label={ariaLabel}
+				onMouseMove={handleMouseMove}
+				onMouseLeave={() => setHovered(null)}
+			>
+				{yMin < 0 && yMax > 0 && (
+					<line className="line-chart-zero" x1={PADDING} x2={width - PADDING} y1={scaleY(0)} y2={scaleY(0)} />
+				)}
+				<text className="line-chart-axis" x={PADDING} y={PADDING + 8}>{formatValue(yMax)}</text>
+				<text className="line-chart-axis" x={PADDING} y={height - PADDING - 2}>{formatValue(yMin)}</text>
+				{plotted.map(s => (
+					<polyline
+						key={s.id}
+						className={`line-chart-line${active && active.series.id !== s.id ? ' faded' : ''}`}
+						points={pathOf(s.points)}
+						stroke={s.color}
+					/>
+				))}
+				{active && (
+					<circle className="line-chart-marker" cx={active.point.px} cy={active.point.py} r={3.5} fill={active.series.color} />
+				)}
+			</svg>
+
+			{active && (
+				<div
+					className={`line-chart-tooltip${active.point.px > width / 2 ? ' left' : ''}`}
+					style={{ left: `${(active.point.px / width) * 100}%`, top: `${(active.point.py / height) * 100}%` }}
+				>
+					<strong>{active.series.label}</strong> {formatValue(active.point.y)}
+					{active.point.note && <span className="line-chart-note">{active.point.note}</span>}
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default LineChart;
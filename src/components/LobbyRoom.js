@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import config from '../config';
+import { useGameStore } from '../store';
+import {
+	selectPlayers,
+	selectPawns,
+	selectUsername,
+	selectIsHost,
+	selectLobbyCode,
+	selectStartBlocker,
+	getPawnColor
+} from '../store/selectors';
+import ChatPanel from './ChatPanel';
+import './LobbyRoom.css';
+
+/**
+ * Copy text to the clipboard
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} - Whether it was copied
+ */
+const copyText = async (text) => {
+	try {
+		await navigator.clipboard.writeText(text);
+		return true;
+	} catch (error) {
+		console.error('Could not copy to clipboard:', error);
+		return false;
+	}
+};
+
+/**
+ * LobbyRoom Component
+ * Pre-game room between the login screen and the board: player slots, pawn
+ * selection, ready checks and the lobby code. The host can start once every
+ * player is ready
+ * @param {Function} [onPickPawn] - (pawnName) => void
+ * @param {Function} [onSetReady] - (ready) => void
+ * @param {Function} [onStart] - Start the game (host only)
+ * @param {Function} [onSendChat] - (text) => void
+ * @param {Function} [onEmote] - (emote) => void
+ */
+const LobbyRoom = ({ onPickPawn, onSetReady, onStart, onSendChat, onEmote }) => {
+	const players = useGameStore(selectPlayers);
+	const pawns = useGameStore(selectPawns);
+	const username = useGameStore(selectUsername);
+	const isHost = useGameStore(selectIsHost);
+	const lobbyCode = useGameStore(selectLobbyCode);
+	const startBlocker = useGameStore(selectStartBlocker);
+	const [copied, setCopied] = useState(false);
+
+	const me = players.find(p => p.username === username);
+	const isReady = Boolean(me && me.ready);
+	const slots = Array.from({ length: Math.max(config.game.maxPlayers, players.length) }, (_, i) => players[i] || null);
+	const pawnColor = (name) => getPawnColor(pawns, name);
+
+	const handleCopy = async () => {
+		if (await copyText(lobbyCode)) {
+			setCopied(true);
+			setTimeout(() => setCopied(false), 1500);
+		}
+	};
+
+	return (
+		<div className="lobby-room">
+			<div className="lobby-container">
+				<div className="lobby-header">
+					<h1>Game Lobby</h1>
+					{lobbyCode && (
+						<div className="lobby-code">
+							<span className="lobby-code-caption">Lobby code</span>
+							<code className="lobby-code-value">{lobbyCode}</code>
+							<button className="lobby-copy-btn" onClick={handleCopy} title="Copy the lobby code">
+								{copied ? '✓ Copied' : '📋 Copy'}
+							</button>
+						</div>
+					)}
+					<p className="lobby-subtitle">Share the code so friends can join, pick a pawn and get ready.</p>
+				</div>
+
+				<div className="lobby-body">
+					<section className="lobby-section">
+						<h3>Players ({players.length}/{config.game.maxPlayers})</h3>
+						<ul className="lobby-slots">
+							{slots.map((player, idx) => (
+								player ? (
+									<li
+										key={player.username}
+										className={`lobby-slot${player.username === username ? ' own' : ''}${player.ready ? ' ready' : ''}`}
+									>
+										<span className="lobby-slot-pawn" style={{ backgroundColor: pawnColor(player.pawn) }} />
+										<span className="lobby-slot-name">
+											{player.username}
+											{player.username === username && <span className="lobby-slot-tag"> (you)</span>}
+										</span>
+										<span className="lobby-slot-pawn-name">{player.pawn || '—'}</span>
+										<span className="lobby-slot-status">{player.ready ? '✓ Ready' : 'Not ready'}</span>
+									</li>
+								) : (
+									<li key={`empty-${idx}`} className="lobby-slot empty">Waiting for a player…</li>
+								)
+							))}
+						</ul>
+					</section>
+
+					<section className="lobby-section">
+						<h3>Your Pawn</h3>
+						<div className="lobby-pawns">
+							{pawns.map(pawn => {
+								const holder = players.find(p => p.pawn === pawn.name);
+								const isMine = holder && holder.username === username;
+								const takenByOther = Boolean(holder && !isMine);
+								return (
+									<button
+										key={pawn.name}
+										className={`lobby-pawn${isMine ? ' selected' : ''}`}
+										onClick={() => onPickPawn(pawn.name)}
+										disabled={!onPickPawn || takenByOther || isMine || isReady}
+										title={takenByOther ? `Taken by ${holder.username}` : pawn.name}
+									>
+										<span className="lobby-pawn-color" style={{ backgroundColor: pawnColor(pawn.name) }} />
+										<span className="lobby-pawn-name">{pawn.name}</span>
+										{takenByOther && <span className="lobby-pawn-holder">{holder.username}</span>}
+									</button>
+								);
+							})}
+						</div>
+						{isReady && onPickPawn && <p className="lobby-hint">Cancel ready to change your pawn</p>}
+					</section>
+				</div>
+
+				<div className="lobby-actions">
+					{onSetReady && me && (
+						<button
+							className={`lobby-ready-btn${isReady ? ' ready' : ''}`}
+							onClick={() => onSetReady(!isReady)}
+						>
+							{isReady ? '✗ Cancel Ready' : '✓ Ready'}
+						</button>
+					)}
+					{isHost && onStart && (
+						<button
+							className="lobby-start-btn"
+							onClick={onStart}
+							disabled={Boolean(startBlocker)}
+							title={startBlocker || 'Start the game'}
+						>
+							🎮 Start Game
+						</button>
+					)}
+				</div>
+				<p className="lobby-status">
+					{startBlocker || (isHost ? 'Everyone is ready!' : 'Everyone is ready. Waiting for the host to start…')}
+				</p>
+
+				<ChatPanel players={players} onSend={onSendChat} onEmote={onEmote} />
+			</div>
+		</div>
+	);
+};
+
+export default LobbyRoom;
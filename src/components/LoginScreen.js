@@ -6,7 +6,7 @@ import './LoginScreen.css';
  * LoginScreen Component
  * Handles username and lobby code input for joining a game
  */
-const LoginScreen = ({ onJoin }) => {
+const LoginScreen = ({ onJoin, onLoadReplay }) => {
 	const [username, setUsername] = useState('');
 	const [lobbyCode, setLobbyCode] = useState('');
 	const [isLoading, setIsLoading] = useState(false);
@@ -128,6 +128,18 @@ const LoginScreen = ({ onJoin }) => {
 		onJoin(username.trim(), '');
 	};
 
+	/**
+	 * Handle recorded session file selection
+	 */
+	const handleReplayFile = (e) => {
+		const file = e.target.files && e.target.files[0];
+		if (file) {
+			onLoadReplay(file);
+		}
+		// Allow picking the same file again
+		e.target.value = '';
+	};
+
 	return (
 		<div className="login-screen">
 			<div className="login-container">
@@ -199,6 +211,17 @@ const LoginScreen = ({ onJoin }) => {
 					<p className="help-text">
 						Create a lobby to host a game or join an existing one with a code.
 					</p>
+					{onLoadReplay && (
+						<label className="replay-load">
+							📼 Replay a recorded game
+							<input
+								type="file"
+								accept="application/json,.json"
+								onChange={handleReplayFile}
+								disabled={isLoading}
+							/>
+						</label>
+					)}
 				</div>
 			</div>
 		</div>
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { useGameStore } from '../store';
+import {
+	selectBoard,
+	selectOwnership,
+	selectBalances,
+	selectEliminated,
+	selectDebts,
+	selectBankruptcies,
+	selectCurrentTurn,
+	selectUsername,
+	selectJail,
+	getJailStatus,
+	getPlayerProperties,
+	getPlayerNetWorth
+} from '../store/selectors';
+import './PlayerDashboard.css';
+
+// Heading for non-colored property groups
+const GROUP_LABELS = {
+	transport: 'Transport',
+	utility: 'Utilities'
+};
+
+/**
+ * Group owned properties by color set (transports and utilities get their own groups)
+ * @param {{tile: Object, level: number, mortgaged: boolean}[]} properties - Owned properties
+ * @returns {{key: string, color: string, properties: Object[]}[]}
+ */
+const groupProperties = (properties) => {
+	const groups = new Map();
+	properties.forEach(entry => {
+		const key = entry.tile.type === 'property' ? entry.tile.color : entry.tile.type;
+		if (!groups.has(key)) {
+			groups.set(key, { key, color: entry.tile.type === 'property' ? entry.tile.color : '', properties: [] });
+		}
+		groups.get(key).properties.push(entry);
+	});
+	return Array.from(groups.values());
+};
+
+/**
+ * Count houses and hotels (level 5 is a hotel, levels 1-4 are houses)
+ * @param {{tile: Object, level: number}[]} properties - Owned properties
+ * @returns {{houses: number, hotels: number}}
+ */
+const countBuildings = (properties) => properties.reduce((counts, { level }) => ({
+	houses: counts.houses + (level < 5 ? level : 0),
+	hotels: counts.hotels + (level === 5 ? 1 : 0)
+}), { houses: 0, hotels: 0 });
+
+/**
+ * Format a dollar amount, or a dash while unknown
+ */
+const formatMoney = (amount) => (amount === undefined || amount === null ? '—' : `$${amount}`);
+
+/**
+ * PlayerDashboard Component
+ * Expandable card per player with cash, properties by color set, buildings and net worth
+ * @param {Object[]} players - Players in the game
+ * @param {Function} getPawnColor - pawn name -> CSS color
+ * @param {Function} getPropertyColor - property color name -> CSS color
+ * @param {Function} getLevelDisplay - building level -> house/hotel icons
+ */
+const PlayerDashboard = ({ players, getPawnColor, getPropertyColor, getLevelDisplay }) => {
+	const board = useGameStore(selectBoard);
+	const ownership = useGameStore(selectOwnership);
+	const balances = useGameStore(selectBalances);
+	const eliminated = useGameStore(selectEliminated);
+	const debts = useGameStore(selectDebts);
+	const bankruptcies = useGameStore(selectBankruptcies);
+	const currentTurn = useGameStore(selectCurrentTurn);
+	const username = useGameStore(selectUsername);
+	const jail = useGameStore(selectJail);
+	const [expanded, setExpanded] = useState({});
+
+	if (!players || players.length === 0) {
+		return <p className="no-players">No players yet</p>;
+	}
+
+	const toggle = (name) => {
+		setExpanded(current => ({ ...current, [name]: !current[name] }));
+	};
+
+	return (
+		<div className="player-dashboard">
+			{players.map(player => {
+				const properties = getPlayerProperties(board, ownership, player.username);
+				const balance = balances[player.username];
+				const netWorth = getPlayerNetWorth(balance, properties);
+				const { houses, hotels } = countBuildings(properties);
+				const isOut = eliminated.includes(player.username);
+				const isTurn = player.username === currentTurn;
+				const isOpen = Boolean(expanded[player.username]);
+				const jailStatus = getJailStatus(jail, player.username);
+				const debt = debts[player.username];
+				// Undefined when the elimination predates this session (e.g. after a resume)
+				const creditor = bankruptcies[player.username];
+
+				return (
+					<div
+						key={player.username}
+						className={`player-card${isTurn ? ' current' : ''}${isOut ? ' eliminated' : ''}${isOpen ? ' open' : ''}`}
+					>
+						<button
+							className="player-card-header"
+							onClick={() => toggle(player.username)}
+							aria-expanded={isOpen}
+						>
+							<span
+								className="player-pawn"
+								style={{ backgroundColor: player.pawn ? getPawnColor(player.pawn) : '#999' }}
+							/>
+							<span className="player-name">
+								{player.username}
+								{player.username === username && <span className="player-you"> (you)</span>}
+							</span>
+							{isTurn && !isOut && <span className="player-badge turn">🎲 Turn</span>}
+							{jailStatus.jailed && !isOut && (
+								<span className="player-badge jail" title={`${jailStatus.turnsLeft} roll${jailStatus.turnsLeft === 1 ? '' : 's'} left`}>
+									🔒 Jail
+								</span>
+							)}
+							{debt && !isOut && (
+								<span className="player-badge debt" title={`Owes $${debt.amount} to ${debt.creditor || 'the bank'}`}>
+									💸 Debt
+								</span>
+							)}
+							{isOut && (
+								<span
+									className="player-badge out"
+									title={creditor !== undefined ? `Assets went to ${creditor || 'the bank'}` : undefined}
+								>
+									Eliminated
+								</span>
+							)}
+							<span className="player-cash">{formatMoney(balance)}</span>
+							<span className="player-card-chevron">{isOpen ? '▾' : '▸'}</span>
+						</button>
+
+						{isOpen && (
+							<div className="player-card-body">
+								<div className="player-stats">
+									<div>
+										<span className="player-stat-label">Net worth</span>
+										<span className="player-stat-value">{formatMoney(netWorth)}</span>
+									</div>
+									<div>
+										<span className="player-stat-label">Properties</span>
+										<span className="player-stat-value">{properties.length}</span>
+									</div>
+									<div>
+										<span className="player-stat-label">Buildings</span>
+										<span className="player-stat-value">🏠 {houses} · 🏨 {hotels}</span>
+									</div>
+									{jailStatus.cards > 0 && (
+										<div>
+											<span className="player-stat-label">Jail cards</span>
+											<span className="player-stat-value">🎟️ {jailStatus.cards}</span>
+										</div>
+									)}
+								</div>
+
+								{isOut && creditor !== undefined && (
+									<p className="player-bankrupt-note">Bankrupt: assets went to {creditor || 'the bank'}</p>
+								)}
+								{properties.length === 0 ? (
+									<p className="player-no-properties">No properties</p>
+								) : (
+									groupProperties(properties).map(group => (
+										<div key={group.key} className="player-property-group">
+											<div className="player-property-group-title">
+												{group.color && (
+													<span
+														className="player-property-swatch"
+														style={{ backgroundColor: getPropertyColor(group.color) }}
+													/>
+												)}
+												{GROUP_LABELS[group.key] || group.key}
+											</div>
+											{group.properties.map(({ tile, level, mortgaged }) => (
+												<div
+													key={tile.id}
+													className={`player-property${mortgaged ? ' mortgaged' : ''}`}
+													title={mortgaged ? 'Mortgaged' : undefined}
+												>
+													<span>{tile.name}</span>
+													<span className="player-property-level">{getLevelDisplay(level)}</span>
+												</div>
+											))}
+										</div>
+									))
+								)}
+							</div>
+						)}
+					</div>
+				);
+			})}
+		</div>
+	);
+};
+
+export default PlayerDashboard;
@@ -1,16 +1,41 @@
 import React from 'react';
+import RentTable from './RentTable';
+import {
+	MAX_LEVEL,
+	getColorSet,
+	getUpgradeBlocker,
+	getColorSetBlocker,
+	getMortgageValue,
+	getUnmortgageCost,
+	getBuildingSaleValue,
+	getMortgageBlocker,
+	getUnmortgageBlocker,
+	getSellBlocker
+} from '../rules';
+import { getPropertyColor } from '../theme';
 import './PropertyDetailsModal.css';
 
 /**
  * PropertyDetailsModal Component
- * Displays detailed information about a property and allows upgrading it
+ * Displays detailed information about a property and allows upgrading it,
+ * selling its buildings and mortgaging it
+ * The mortgage and sell sections and the set planner link are shown only when
+ * their handlers are given
  */
 const PropertyDetailsModal = ({ 
 	visible, 
 	property, 
 	board,
+	ownership = {},
+	ownedProperties = [],
+	username,
+	bankSupply = null,
 	playerBalance,
 	onUpgrade, 
+	onSellBuilding,
+	onMortgage,
+	onUnmortgage,
+	onPlanSet,
 	onClose 
 }) => {
 	if (!visible || !property) return null;
@@ -19,29 +44,29 @@ const PropertyDetailsModal = ({
 	const tile = board.find(t => t.id === property.id);
 	if (!tile) return null;
 
-	const currentLevel = property.level || 0;
-	const maxLevel = 5;
+	// Prefer the live ownership entry; the property passed in may be a stale snapshot
+	const owned = ownership[property.id] || { level: property.level || 0, mortgaged: Boolean(property.mortgaged) };
+	const currentLevel = owned.level || 0;
+	const isMortgaged = Boolean(owned.mortgaged);
+	const maxLevel = MAX_LEVEL;
 	const canUpgrade = tile.properties?.levelable && currentLevel < maxLevel;
-	
-	// Check if player owns monopoly (all properties of the same color)
-	const propertyColor = tile.color;
-	const allPropertiesOfColor = board.filter(t => 
-		t.color === propertyColor && 
-		t.properties?.purchasable === true
-	);
-	const ownedPropertiesOfColor = allPropertiesOfColor.filter(t => 
-		playerBalance !== undefined && // Ensure we have player data
-		board.find(bt => bt.id === t.id)
-	).length;
-	
-	// For simplicity, we'll assume the player owns a property if it's in the modal
-	// The server will validate the actual monopoly ownership
-	const hasMonopoly = allPropertiesOfColor.length > 0; // Server-side validation is authoritative
-	
+
+	// Building needs the whole color set, evenly built and unmortgaged (see rules.js)
+	const colorSet = getColorSet(board, tile);
+	const isOwned = (t) => ownedProperties.some(p => p.id === t.id);
+	const upgradeBlocker = getUpgradeBlocker(board, ownedProperties, tile, playerBalance, bankSupply);
+
 	// Get upgrade cost from owner-costs array (index = next level)
 	const upgradeCost = canUpgrade ? tile['owner-costs'][currentLevel + 1] : 0;
-	const canAffordUpgrade = playerBalance >= upgradeCost;
-	const isUpgradeDisabled = !canUpgrade || !canAffordUpgrade;
+
+	// Selling buildings and mortgages follow the same rules
+	const sellBlocker = getSellBlocker(board, ownership, tile, username, bankSupply);
+	const saleValue = getBuildingSaleValue(tile, currentLevel);
+	const mortgageValue = getMortgageValue(tile);
+	const unmortgageCost = getUnmortgageCost(tile);
+	const mortgageBlocker = isMortgaged
+		? getUnmortgageBlocker(ownership, tile, playerBalance, username)
+		: getMortgageBlocker(board, ownership, tile, username);
 
 	/**
 	 * Get level display using unicode symbols
@@ -54,26 +79,16 @@ const PropertyDetailsModal = ({
 		return '';
 	};
 
-	/**
-	 * Get rent for each level
-	 */
-	const getRentInfo = () => {
-		if (!tile['trespass-costs']) return null;
-		return tile['trespass-costs'].map((rent, idx) => ({
-			level: idx,
-			rent: rent
-		}));
-	};
-
-	const rentInfo = getRentInfo();
-
 	return (
 		<div className="property-modal-overlay" onClick={onClose}>
 			<div className="property-modal" onClick={(e) => e.stopPropagation()}>
 				<button className="property-modal-close" onClick={onClose}>×</button>
 				
 				<div className="property-modal-header">
-					<h3>{tile.name}</h3>
+					<h3>
+						{tile.name}
+						{isMortgaged && <span className="property-mortgaged-badge">Mortgaged</span>}
+					</h3>
 					<div 
 						className="property-modal-color-bar" 
 						style={{ 
@@ -92,24 +107,10 @@ const PropertyDetailsModal = ({
 					</div>
 
 					{/* Rent Information */}
-					{rentInfo && (
+					{tile['trespass-costs'] && (
 						<div className="property-info-section">
 							<h4>Rent Information</h4>
-							<div className="rent-table">
-								{rentInfo.map(({ level, rent }) => (
-									<div 
-										key={level} 
-										className={`rent-row ${level === currentLevel ? 'current' : ''}`}
-									>
-										<span className="rent-level">
-											{level === 0 && 'Base'}
-											{level >= 1 && level <= 4 && `${level} 🏠`}
-											{level === 5 && '🏨'}
-										</span>
-										<span className="rent-amount">${rent}</span>
-									</div>
-								))}
-							</div>
+							<RentTable tile={tile} currentLevel={currentLevel} />
 						</div>
 					)}
 
@@ -119,7 +120,13 @@ const PropertyDetailsModal = ({
 							<h4>Upgrade Property</h4>
 							<div className="upgrade-info">
 								<p className="upgrade-monopoly-info">
-									Properties in this set: <strong>{allPropertiesOfColor.map(p => p.name).join(', ')}</strong>
+									Properties in this set:{' '}
+									{colorSet.map((t, idx) => (
+										<span key={t.id} className={isOwned(t) ? 'set-owned' : 'set-missing'}>
+											{idx > 0 && ', '}
+											{t.name} {isOwned(t) ? '✓' : '✗'}
+										</span>
+									))}
 								</p>
 								<p className="upgrade-cost">
 									Cost: <strong>${upgradeCost}</strong>
@@ -127,20 +134,92 @@ const PropertyDetailsModal = ({
 								<p className="upgrade-next-level">
 									Next level: {getLevelDisplay(currentLevel + 1)}
 								</p>
-								{!canAffordUpgrade && (
+								{bankSupply && (
+									<p className="upgrade-bank-supply">
+										Bank supply: 🏠 {bankSupply.houses} · 🏨 {bankSupply.hotels}
+									</p>
+								)}
+								{upgradeBlocker && (
 									<p className="upgrade-warning">
-										⚠️ Insufficient funds (need ${upgradeCost - playerBalance} more)
+										⚠️ {upgradeBlocker}
 									</p>
 								)}
 							</div>
 							<button 
 								className="upgrade-btn"
 								onClick={() => onUpgrade(property.id)}
-								disabled={isUpgradeDisabled}
-								title={!canAffordUpgrade ? 'Not enough money' : 'Upgrade property'}
+								disabled={Boolean(upgradeBlocker)}
+								title={upgradeBlocker || 'Upgrade property'}
 							>
 								⬆️ Upgrade
 							</button>
+							{onPlanSet && !getColorSetBlocker(board, ownedProperties, tile) && (
+								<button 
+									className="upgrade-btn secondary plan-set-btn"
+									onClick={() => onPlanSet(property.id)}
+									title="Choose a layout for the whole set and build it in one go"
+								>
+									🏗️ Plan the Whole Set
+								</button>
+							)}
+						</div>
+					)}
+
+					{/* Sell Buildings */}
+					{onSellBuilding && currentLevel > 0 && (
+						<div className="property-info-section">
+							<h4>Sell Buildings</h4>
+							<div className="upgrade-info">
+								<p className="upgrade-cost">
+									Sell {currentLevel === maxLevel ? 'the hotel' : 'one house'} for <strong>${saleValue}</strong>
+								</p>
+								{sellBlocker && (
+									<p className="upgrade-warning">⚠️ {sellBlocker}</p>
+								)}
+							</div>
+							<button 
+								className="upgrade-btn secondary"
+								onClick={() => onSellBuilding(property.id)}
+								disabled={Boolean(sellBlocker)}
+								title={sellBlocker || 'Sell one building back to the bank'}
+							>
+								⬇️ Sell Building
+							</button>
+						</div>
+					)}
+
+					{/* Mortgage */}
+					{onMortgage && onUnmortgage && (
+						<div className="property-info-section">
+							<h4>Mortgage</h4>
+							<div className="upgrade-info">
+								{isMortgaged ? (
+									<>
+										<p className="mortgage-status">🏦 Mortgaged properties collect no rent</p>
+										<p className="upgrade-cost">
+											Lift mortgage: <strong>${unmortgageCost.total}</strong>
+										</p>
+										<p className="mortgage-interest">
+											${mortgageValue} + ${unmortgageCost.interest} interest
+										</p>
+									</>
+								) : (
+									<p className="upgrade-cost">
+										Mortgage value: <strong>${mortgageValue}</strong>
+									</p>
+								)}
+								{mortgageBlocker && (
+									<p className="upgrade-warning">⚠️ {mortgageBlocker}</p>
+								)}
+							</div>
+							<button 
+								className="upgrade-btn secondary"
+								onClick={() => (isMortgaged ? onUnmortgage(property.id) : onMortgage(property.id))}
+								disabled={Boolean(mortgageBlocker)}
+								title={mortgageBlocker || (isMortgaged ? 'Pay off the mortgage' : 'Mortgage for cash')}
+							>
+								{isMortgaged ? '🔓 Lift Mortgage' : '🏦 Mortgage'}
+							</button>
 						</div>
 					)}
 
@@ -171,22 +250,4 @@ const PropertyDetailsModal = ({
 	);
 };
 
-/**
- * Get color hex value for a tile property color
- */
-const getPropertyColor = (color) => {
-	const colorMap = {
-		'brown': '#8B4513',
-		'cyan': '#87CEEB',
-		'magenta': '#FF00FF',
-		'orange': '#FFA500',
-		'red': '#FF0000',
-		'yellow': '#FFFF00',
-		'green': '#00FF00',
-		'blue': '#0000FF',
-		'purple': '#800080'
-	};
-	return colorMap[color?.toLowerCase()] || '#999';
-};
-
 export default PropertyDetailsModal;
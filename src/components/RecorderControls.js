@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import './RecorderControls.css';
+
+/**
+ * RecorderControls Component
+ * Start/stop protocol recording and download the captured session
+ */
+const RecorderControls = ({ wsService, username }) => {
+	const [isRecording, setIsRecording] = useState(wsService.isRecording());
+	const [hasRecording, setHasRecording] = useState(wsService.isRecording());
+
+	/**
+	 * Toggle recording on or off
+	 */
+	const handleToggle = () => {
+		if (isRecording) {
+			wsService.stopRecording();
+		} else {
+			wsService.startRecording();
+			setHasRecording(true);
+		}
+		setIsRecording(!isRecording);
+	};
+
+	return (
+		<div className="recorder-controls">
+			<button
+				className={`recorder-btn ${isRecording ? 'recording' : ''}`}
+				onClick={handleToggle}
+				title={isRecording ? 'Stop recording' : 'Record protocol messages'}
+			>
+				{isRecording ? '⏹ Stop' : '⏺ Record'}
+			</button>
+			<button
+				className="recorder-btn"
+				onClick={() => wsService.downloadRecording({ username })}
+				disabled={!hasRecording}
+				title="Download recorded session as JSON"
+			>
+				⬇ Download
+			</button>
+		</div>
+	);
+};
+
+export default RecorderControls;
@@ -0,0 +1,32 @@
+import React from 'react';
+import './RentTable.css';
+
+/**
+ * RentTable Component
+ * Lists a tile's rent at every building level, highlighting the current one
+ * @param {Object} tile - Board tile (uses its trespass-costs)
+ * @param {number} [currentLevel] - Level to highlight; omit to highlight none
+ */
+const RentTable = ({ tile, currentLevel }) => {
+	if (!tile || !tile['trespass-costs']) return null;
+
+	return (
+		<div className="rent-table">
+			{tile['trespass-costs'].map((rent, level) => (
+				<div 
+					key={level} 
+					className={`rent-row ${level === currentLevel ? 'current' : ''}`}
+				>
+					<span className="rent-level">
+						{level === 0 && 'Base'}
+						{level >= 1 && level <= 4 && `${level} 🏠`}
+						{level === 5 && '🏨'}
+					</span>
+					<span className="rent-amount">${rent}</span>
+				</div>
+			))}
+		</div>
+	);
+};
+
+export default RentTable;
@@ -0,0 +1,44 @@
+import React from 'react';
+import './ReplayControls.css';
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * ReplayControls Component
+ * Playback bar for a recorded session: play, pause, step and speed
+ */
+const ReplayControls = ({ replay, onPlay, onPause, onStep, onSpeedChange, onExit }) => {
+	if (!replay || !replay.active) return null;
+
+	const finished = replay.index >= replay.total;
+
+	return (
+		<div className="replay-controls">
+			<span className="replay-label">📼 Replay{replay.meta?.username ? ` · ${replay.meta.username}` : ''}</span>
+
+			{replay.isPlaying ? (
+				<button className="replay-btn" onClick={onPause} title="Pause">⏸</button>
+			) : (
+				<button className="replay-btn" onClick={onPlay} disabled={finished} title="Play">▶</button>
+			)}
+			<button className="replay-btn" onClick={onStep} disabled={finished} title="Step to next message">⏭</button>
+
+			<select
+				className="replay-speed"
+				value={replay.speed}
+				onChange={(e) => onSpeedChange(Number(e.target.value))}
+				aria-label="Playback speed"
+			>
+				{SPEEDS.map(speed => (
+					<option key={speed} value={speed}>{speed}x</option>
+				))}
+			</select>
+
+			<span className="replay-progress">{replay.index} / {replay.total}</span>
+
+			<button className="replay-btn replay-exit" onClick={onExit} title="Leave replay">✕</button>
+		</div>
+	);
+};
+
+export default ReplayControls;
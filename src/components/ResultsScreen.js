@@ -0,0 +1,136 @@
+import React from 'react';
+import { useStats } from '../store';
+import { getPawnColor } from '../store/selectors';
+import { getPropertyColor } from '../theme';
+import WealthChart from './WealthChart';
+import './ResultsScreen.css';
+
+const selectResults = (stats) => stats.results;
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Format a dollar amount, or a dash when the server never sent it
+ * @param {number|null} amount - Amount
+ * @returns {string}
+ */
+const formatMoney = (amount) => (amount === null || amount === undefined ? '—' : `$${amount}`);
+
+/**
+ * ResultsScreen Component
+ * Scene shown when the game ends: final ranking by net worth, rent paid and
+ * received, turns played, a chart of everyone's money and the properties that
+ * earned the most rent
+ * @param {Function} [onPlayAgain] - (lobbyCode) => void, rematch in the same lobby
+ * @param {Function} onBackToMenu - Return to the login screen
+ */
+const ResultsScreen = ({ onPlayAgain, onBackToMenu }) => {
+	const results = useStats(selectResults);
+
+	if (!results) {
+		return (
+			<div className="results-screen">
+				<div className="results-container">
+					<h1>Game Over</h1>
+					<p className="results-empty">No results were recorded for this game</p>
+					<div className="results-actions">
+						<button className="results-btn" onClick={onBackToMenu}>Back to Menu</button>
+					</div>
+				</div>
+			</div>
+		);
+	}
+
+	const { standings, topProperties, history, pawns, username } = results;
+	const colorOf = (pawn) => getPawnColor(pawns, pawn);
+	const winner = standings.find(s => !s.eliminated) || standings[0];
+
+	return (
+		<div className="results-screen">
+			<div className="results-container">
+				<div className="results-header">
+					<h1>Game Over</h1>
+					{results.reason && <p className="results-reason">{results.reason}</p>}
+					{winner && (
+						<p className="results-winner">
+							{winner.username === username ? 'You win!' : `${winner.username} wins`}
+						</p>
+					)}
+				</div>
+
+				<section className="results-section">
+					<h3>Final Ranking</h3>
+					<table className="results-table">
+						<thead>
+							<tr>
+								<th>#</th>
+								<th>Player</th>
+								<th>Net Worth</th>
+								<th>Cash</th>
+								<th>Properties</th>
+								<th>Rent Paid</th>
+								<th>Rent Received</th>
+								<th>Turns</th>
+							</tr>
+						</thead>
+						<tbody>
+							{standings.map(standing => (
+								<tr
+									key={standing.username}
+									className={[standing.username === username && 'me', standing.eliminated && 'eliminated'].filter(Boolean).join(' ') || undefined}
+								>
+									<td className="results-rank">{MEDALS[standing.rank - 1] || standing.rank}</td>
+									<td>
+										<span className="results-pawn" style={{ background: colorOf(standing.pawn) }} />
+										{standing.username}
+										{standing.eliminated && <span className="results-bankrupt"> (bankrupt)</span>}
+									</td>
+									<td>{formatMoney(standing.netWorth)}</td>
+									<td>{formatMoney(standing.cash)}</td>
+									<td>{standing.properties}</td>
+									<td>${standing.rentPaid}</td>
+									<td>${standing.rentReceived}</td>
+									<td>{standing.turns}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</section>
+
+				<section className="results-section">
+					<h3>Money Over the Game</h3>
+					<WealthChart history={history} players={standings} pawns={pawns} />
+				</section>
+
+				<section className="results-section">
+					<h3>Most Profitable Properties</h3>
+					{topProperties.length === 0 ? (
+						<p className="results-empty">Nobody collected any rent</p>
+					) : (
+						<ol className="results-properties">
+							{topProperties.map(({ tile, owner, income }) => (
+								<li key={tile.id}>
+									<span className="results-property-color" style={{ background: getPropertyColor(tile.color) }} />
+									<span className="results-property-name">{tile.name}</span>
+									<span className="results-property-owner">{owner || 'the bank'}</span>
+									<span className="results-property-income">${income}</span>
+								</li>
+							))}
+						</ol>
+					)}
+				</section>
+
+				<div className="results-actions">
+					{onPlayAgain && results.lobbyCode && (
+						<button className="results-btn primary" onClick={() => onPlayAgain(results.lobbyCode)}>
+							Play Again
+						</button>
+					)}
+					<button className="results-btn" onClick={onBackToMenu}>Back to Menu</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default ResultsScreen;
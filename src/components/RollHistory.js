@@ -0,0 +1,37 @@
+import React from 'react';
+import './RollHistory.css';
+
+/**
+ * RollHistory Component
+ * Recent dice rolls for each player, newest first; totals inferred from a move are marked with ~
+ * @param {Object[]} players - Players in the game
+ * @param {Object} history - username -> recent rolls from the store
+ */
+const RollHistory = ({ players, history }) => {
+	const rows = players.filter(player => history[player.username]?.length > 0);
+	if (rows.length === 0) return null;
+
+	return (
+		<div className="roll-history">
+			<h4>Recent Rolls</h4>
+			{rows.map(player => (
+				<div key={player.username} className="roll-history-row">
+					<span className="roll-history-player">{player.username}</span>
+					<span className="roll-history-rolls">
+						{history[player.username].map(roll => (
+							<span
+								key={roll.sequence}
+								className={`roll-chip${roll.doubles ? ' doubles' : ''}${roll.inferred ? ' inferred' : ''}`}
+								title={roll.doubles ? 'Doubles' : roll.inferred ? 'Total inferred from the move' : undefined}
+							>
+								{roll.inferred ? `~${roll.total}` : roll.dice.join('+')}
+							</span>
+						))}
+					</span>
+				</div>
+			))}
+		</div>
+	);
+};
+
+export default RollHistory;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { useGameStore } from '../store';
+import { selectTrades, selectUsername, selectBoard, describeTradeSide } from '../store/selectors';
+import useNow from '../hooks/useNow';
+import { formatExpiry } from './TradeOfferModal';
+import './TradeList.css';
+
+/**
+ * TradeList Component
+ * Pending trade offers sent and received by the local player, with time left
+ * @param {Function} onReview - (id) => void, opens an incoming offer
+ * @param {Function} onCancel - (id) => void, withdraws an outgoing offer
+ */
+const TradeList = ({ onReview, onCancel }) => {
+	const trades = useGameStore(selectTrades);
+	const username = useGameStore(selectUsername);
+	const board = useGameStore(selectBoard);
+	const now = useNow();
+
+	if (trades.length === 0) return null;
+
+	return (
+		<div className="trade-list">
+			<h4>Pending Trades</h4>
+			{trades.map(trade => {
+				const incoming = trade.to === username;
+				const expiry = formatExpiry(trade['expires-at'], now);
+				const gives = describeTradeSide(board, trade.offer).join(', ') || 'nothing';
+				const wants = describeTradeSide(board, trade.request).join(', ') || 'nothing';
+
+				return (
+					<div key={trade.id} className={`trade-list-item ${incoming ? 'incoming' : 'outgoing'}`}>
+						<div className="trade-list-summary">
+							<strong>{incoming ? `From ${trade.from}` : `To ${trade.to}`}</strong>
+							{expiry && <span className="trade-list-expiry">⏳ {expiry}</span>}
+						</div>
+						<div className="trade-list-terms">
+							{trade.from} gives {gives} for {wants}
+						</div>
+						{incoming && onReview && (
+							<button className="trade-list-btn" onClick={() => onReview(trade.id)}>Review</button>
+						)}
+						{!incoming && onCancel && (
+							<button className="trade-list-btn" onClick={() => onCancel(trade.id)}>Withdraw</button>
+						)}
+					</div>
+				);
+			})}
+		</div>
+	);
+};
+
+export default TradeList;
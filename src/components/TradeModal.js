@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { useGameStore } from '../store';
+import {
+	selectBoard,
+	selectPlayers,
+	selectUsername,
+	selectOwnership,
+	selectBalances,
+	selectEliminated,
+	getPlayerProperties
+} from '../store/selectors';
+import './TradeModal.css';
+
+const emptySide = () => ({ properties: [], cash: 0 });
+
+/**
+ * TradeModal Component
+ * Trade builder: pick a player, then the properties and cash each side hands over
+ * @param {Object} draft - Starting point ({ to, offer, request, counterOf }); counter-offers arrive pre-filled
+ * @param {Function} onSend - (to, offer, request, counterOf) => void
+ * @param {Function} onClose - Close without sending
+ */
+const TradeModal = ({ draft = {}, onSend, onClose }) => {
+	const board = useGameStore(selectBoard);
+	const players = useGameStore(selectPlayers);
+	const username = useGameStore(selectUsername);
+	const ownership = useGameStore(selectOwnership);
+	const balances = useGameStore(selectBalances);
+	const eliminated = useGameStore(selectEliminated);
+
+	const partners = players.filter(p => p.username !== username && !eliminated.includes(p.username));
+	const [to, setTo] = useState(draft.to || partners[0]?.username || '');
+	const [offer, setOffer] = useState(draft.offer || emptySide());
+	const [request, setRequest] = useState(draft.request || emptySide());
+	const isCounter = draft.counterOf !== undefined && draft.counterOf !== null;
+
+	/**
+	 * Switch trading partner; their properties no longer apply
+	 */
+	const changePartner = (name) => {
+		setTo(name);
+		setRequest(emptySide());
+	};
+
+	const toggleProperty = (setSide, id) => {
+		setSide(side => ({
+			...side,
+			properties: side.properties.includes(id)
+				? side.properties.filter(p => p !== id)
+				: [...side.properties, id]
+		}));
+	};
+
+	const setCash = (setSide, value) => {
+		const cash = Math.max(0, Math.floor(Number(value) || 0));
+		setSide(side => ({ ...side, cash }));
+	};
+
+	const myCash = balances[username] ?? 0;
+	const theirCash = balances[to];
+	const isEmpty = offer.properties.length + request.properties.length === 0 && offer.cash + request.cash === 0;
+	const tooMuchCash = offer.cash > myCash || (theirCash !== undefined && request.cash > theirCash);
+
+	/**
+	 * Render one side's property checklist and cash input
+	 */
+	const renderSide = (title, owner, side, setSide, cashLimit) => {
+		const properties = owner ? getPlayerProperties(board, ownership, owner) : [];
+		return (
+			<div className="trade-side">
+				<h4>{title}</h4>
+				<div className="trade-properties">
+					{properties.length === 0 && <p className="trade-empty">No properties</p>}
+					{properties.map(({ tile, level }) => (
+						<label
+							key={tile.id}
+							className={`trade-property${level > 0 ? ' disabled' : ''}`}
+							title={level > 0 ? 'Sell the buildings before trading this property' : undefined}
+						>
+							<input
+								type="checkbox"
+								checked={side.properties.includes(tile.id)}
+								disabled={level > 0}
+								onChange={() => toggleProperty(setSide, tile.id)}
+							/>
+							<span>{tile.name}</span>
+						</label>
+					))}
+				</div>
+				<label className="trade-cash">
+					<span>Cash $</span>
+					<input
+						type="number"
+						min="0"
+						max={cashLimit}
+						value={side.cash}
+						onChange={(e) => setCash(setSide, e.target.value)}
+					/>
+					{cashLimit !== undefined && <span className="trade-cash-limit">of ${cashLimit}</span>}
+				</label>
+			</div>
+		);
+	};
+
+	return (
+		<div className="trade-modal-overlay" onClick={onClose}>
+			<div className="trade-modal" onClick={(e) => e.stopPropagation()}>
+				<h3 className="trade-modal-title">{isCounter ? 'Counter-offer' : 'Propose a Trade'}</h3>
+
+				{partners.length === 0 ? (
+					<p className="trade-empty">There is nobody to trade with.</p>
+				) : (
+					<>
+						<label className="trade-partner">
+							<span>Trade with</span>
+							<select value={to} onChange={(e) => changePartner(e.target.value)} disabled={isCounter}>
+								{partners.map(p => (
+									<option key={p.username} value={p.username}>{p.username}</option>
+								))}
+							</select>
+						</label>
+
+						<div className="trade-sides">
+							{renderSide('You give', username, offer, setOffer, myCash)}
+							{renderSide(`${to || 'They'} give${to ? 's' : ''}`, to, request, setRequest, theirCash)}
+						</div>
+					</>
+				)}
+
+				{tooMuchCash && <p className="trade-warning">⚠️ A cash amount is more than that player has</p>}
+
+				<div className="trade-modal-actions">
+					<button className="trade-secondary-btn" onClick={onClose}>Cancel</button>
+					<button
+						className="trade-primary-btn"
+						disabled={!to || isEmpty || tooMuchCash}
+						onClick={() => onSend(to, offer, request, draft.counterOf)}
+					>
+						{isCounter ? 'Send counter-offer' : 'Send offer'}
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default TradeModal;
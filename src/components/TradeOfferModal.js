@@ -0,0 +1,77 @@
+import React from 'react';
+import { useGameStore } from '../store';
+import { selectBoard, describeTradeSide } from '../store/selectors';
+import useNow from '../hooks/useNow';
+import './TradeModal.css';
+import './TradeOfferModal.css';
+
+/**
+ * Format the time left before an offer expires
+ * @param {number|undefined} expiresAt - Epoch milliseconds
+ * @param {number} now - Current time
+ * @returns {string|null}
+ */
+export const formatExpiry = (expiresAt, now) => {
+	if (!expiresAt) return null;
+	const seconds = Math.max(0, Math.ceil((expiresAt - now) / 1000));
+	return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * TradeOfferModal Component
+ * Lets the recipient of a trade offer accept, reject or counter it
+ * @param {Object} trade - Pending trade from the store
+ * @param {Function} onAccept - (id) => void
+ * @param {Function} onReject - (id) => void
+ * @param {Function} onCounter - (trade) => void
+ * @param {Function} onClose - Decide later
+ */
+const TradeOfferModal = ({ trade, onAccept, onReject, onCounter, onClose }) => {
+	const board = useGameStore(selectBoard);
+	const now = useNow();
+
+	if (!trade) return null;
+
+	const gives = describeTradeSide(board, trade.offer);
+	const wants = describeTradeSide(board, trade.request);
+	const expiry = formatExpiry(trade['expires-at'], now);
+
+	return (
+		<div className="trade-modal-overlay" onClick={onClose}>
+			<div className="trade-modal trade-offer-modal" onClick={(e) => e.stopPropagation()}>
+				<h3 className="trade-modal-title">
+					{trade['counter-of'] !== undefined ? 'Counter-offer' : 'Trade offer'} from {trade.from}
+				</h3>
+				{expiry && <p className="trade-offer-expiry">⏳ Expires in {expiry}</p>}
+
+				<div className="trade-sides">
+					<div className="trade-side">
+						<h4>You get</h4>
+						{gives.length === 0 ? <p className="trade-empty">Nothing</p> : (
+							<ul className="trade-offer-items">
+								{gives.map(item => <li key={item}>{item}</li>)}
+							</ul>
+						)}
+					</div>
+					<div className="trade-side">
+						<h4>You give</h4>
+						{wants.length === 0 ? <p className="trade-empty">Nothing</p> : (
+							<ul className="trade-offer-items">
+								{wants.map(item => <li key={item}>{item}</li>)}
+							</ul>
+						)}
+					</div>
+				</div>
+
+				<div className="trade-modal-actions">
+					<button className="trade-secondary-btn" onClick={onClose}>Later</button>
+					<button className="trade-danger-btn" onClick={() => onReject(trade.id)}>Reject</button>
+					<button className="trade-secondary-btn" onClick={() => onCounter(trade)}>Counter</button>
+					<button className="trade-primary-btn" onClick={() => onAccept(trade.id)}>Accept</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default TradeOfferModal;
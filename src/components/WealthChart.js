@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { getPawnColor } from '../store/selectors';
+import LineChart from './LineChart';
+import './WealthChart.css';
+
+const METRICS = [
+	{ key: 'balance', label: 'Cash' },
+	{ key: 'netWorth', label: 'Net Worth' }
+];
+
+/**
+ * Turn the recorded history into chart lines
+ * Each line is held at its last value up to the latest change of any player
+ * @param {Object} history - username -> [{ seq, turn, balance, netWorth, cause }]
+ * @param {{username: string, pawn: string}[]} players - Players, in legend order
+ * @param {Object[]} pawns - Pawns from the server, for the line colors
+ * @param {string} metric - 'balance' or 'netWorth'
+ * @returns {Object[]} - Series for LineChart
+ */
+const buildSeries = (history, players, pawns, metric) => {
+	const end = Math.max(0, ...players.map(({ username }) => {
+		const points = history[username] || [];
+		return points.length > 0 ? points[points.length - 1].seq : 0;
+	}));
+
+	return players
+		.filter(({ username }) => history[username]?.length > 0)
+		.map(({ username, pawn }) => {
+			const points = history[username].map(point => ({
+				x: point.seq,
+				y: point[metric],
+				note: `Turn ${point.turn}${point.cause ? `: ${point.cause}` : ''}`
+			}));
+			const last = points[points.length - 1];
+			if (last.x < end) points.push({ x: end, y: last.y });
+			return { id: username, label: username, color: getPawnColor(pawns, pawn), points };
+		});
+};
+
+/**
+ * WealthChart Component
+ * Every player's cash or estimated net worth over the game, from the statistics
+ * store; hovering a point names the event behind the change
+ * @param {Object} history - username -> recorded points (statsReducer)
+ * @param {{username: string, pawn: string}[]} players - Players to draw
+ * @param {Object[]} pawns - Pawns from the server ({ name, rgb })
+ * @param {string} [title] - Heading
+ * @param {boolean} [compact=false] - Small version for the side panel
+ */
+const WealthChart = ({ history, players, pawns, title, compact = false }) => {
+	const [metric, setMetric] = useState('balance');
+	const series = buildSeries(history, players, pawns, metric);
+	const label = METRICS.find(m => m.key === metric).label;
+
+	return (
+		<div className={`wealth-chart${compact ? ' compact' : ''}`}>
+			<div className="wealth-chart-header">
+				{title && <h4>{title}</h4>}
+				<div className="wealth-chart-toggle" role="group" aria-label="Chart value">
+					{METRICS.map(m => (
+						<button
+							key={m.key}
+							className={`wealth-chart-metric${metric === m.key ? ' active' : ''}`}
+							onClick={() => setMetric(m.key)}
+							aria-pressed={metric === m.key}
+						>
+							{m.label}
+						</button>
+					))}
+				</div>
+			</div>
+
+			<div className="wealth-chart-plot">
+				<LineChart
+					series={series}
+					width={compact ? 300 : 600}
+					height={compact ? 140 : 220}
+					step
+					formatValue={(value) => `$${value}`}
+					ariaLabel={`${label} of every player over the game`}
+				/>
+			</div>
+
+			{series.length > 0 && (
+				<div className="wealth-chart-legend">
+					{series.map(s => (
+						<span key={s.id} className="wealth-chart-legend-item">
+							<span className="wealth-chart-swatch" style={{ background: s.color }} />
+							{s.label}
+						</span>
+					))}
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default WealthChart;
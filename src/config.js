@@ -5,15 +5,43 @@
 const config = {
 	// WebSocket server configuration
 	server: {
-		url: 'ws://localhost:8080', // Change this to your server URL
+		url: 'ws://localhost:8080', // Change this to your server URL ('mock://local' runs the built-in mock server)
 		reconnectInterval: 3000,
-		maxReconnectAttempts: 5
+		maxReconnectAttempts: 5,
+		outboundQueueTTL: 15000, // How long (ms) a message may wait in the queue while reconnecting
+		heartbeatInterval: 10000, // How often (ms) a PING is sent
+		heartbeatTimeout: 5000 // How long (ms) to wait for a PONG before dropping the connection
+	},
+
+	// Developer tools
+	debug: {
+		protocolRecorder: true, // Show record/download controls in the game
+		recordOnStart: false, // Start recording as soon as the app loads
+		replay: true // Allow loading a recorded session from the login screen
+	},
+
+	// Built-in mock server (used when server.url starts with 'mock://')
+	mock: {
+		bots: 2, // Bot opponents added to every lobby you create
+		botDelay: 800, // Delay (ms) between bot actions
+		latency: 50, // Simulated network delay (ms) per message
+		seed: null, // Set a number for repeatable dice rolls and cards
+		auctionTime: 10000 // How long (ms) an auction runs after the last bid
+	},
+
+	// Board animations (turned off by the reduced-motion setting)
+	animation: {
+		pawnStepDuration: 180, // Average time (ms) a pawn spends on each tile while moving
+		trailLength: 3, // Tiles highlighted behind a moving pawn
+		goHighlightDuration: 1200 // How long (ms) GO stays highlighted after a pawn passes it
 	},
 
 	// Game configuration
 	game: {
 		lobbyCodeLength: 6,
-		maxPlayers: 8
+		maxPlayers: 8,
+		jailFine: 50, // Shown until the server sends its own fine
+		jailTurns: 3 // Rolls allowed in jail, for the turns-remaining counter
 	}
 };
 
@@ -0,0 +1,23 @@
+/**
+ * Current time that refreshes on an interval, for countdowns
+ */
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Get the current time, re-rendering every `interval` ms
+ * @param {number} [interval=1000] - Refresh interval (ms)
+ * @returns {number} - Epoch milliseconds
+ */
+const useNow = (interval = 1000) => {
+	const [now, setNow] = useState(Date.now());
+
+	useEffect(() => {
+		const timer = setInterval(() => setNow(Date.now()), interval);
+		return () => clearInterval(timer);
+	}, [interval]);
+
+	return now;
+};
+
+export default useNow;
@@ -0,0 +1,173 @@
+/**
+ * Pawn movement animation for the game board
+ * Turns position jumps from the store into tile-by-tile walks along the clockwise path.
+ * Moves are queued and played one at a time so different players never animate together
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import config from '../config';
+
+// Short backward moves ("Go back 3 spaces") walk backwards instead of around the board
+const MAX_BACKWARD_STEPS = 3;
+
+// Moves leaving these tiles are teleports, not walks
+const TELEPORT_TILE_TYPES = ['go-to-jail'];
+
+/**
+ * Ease-in-out curve used to space the steps of a move
+ * @param {number} t - Progress in [0, 1]
+ * @returns {number} - Eased progress in [0, 1]
+ */
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+/**
+ * Work out the tiles a pawn passes through, excluding the starting tile
+ * @param {number} from - Starting tile id
+ * @param {number} to - Destination tile id
+ * @param {number} boardSize - Number of tiles on the board
+ * @param {boolean} teleport - Jump straight to the destination
+ * @returns {number[]} - Tile ids in walking order, ending with `to`
+ */
+export const getMovePath = (from, to, boardSize, teleport = false) => {
+	if (from === to) return [];
+	if (teleport || boardSize === 0) return [to];
+
+	const backward = (from - to + boardSize) % boardSize;
+	const direction = backward <= MAX_BACKWARD_STEPS ? -1 : 1;
+	const path = [];
+	let tile = from;
+	while (tile !== to) {
+		tile = (tile + direction + boardSize) % boardSize;
+		path.push(tile);
+	}
+	return path;
+};
+
+/**
+ * Animate pawn positions
+ * @param {Object} positions - Target positions from the store (username -> tile id)
+ * @param {Array} board - Board tiles
+ * @param {boolean} enabled - False for reduced motion: positions are shown as-is
+ * @param {Object} [jail] - Jail state from the store (username -> { jailed }); moves into jail are teleports
+ * @returns {{positions: Object, movement: Object|null, passingGo: boolean}}
+ *   positions - Positions to draw this frame
+ *   movement - { player, trail } for the pawn currently walking
+ *   passingGo - True while the GO tile should be highlighted
+ */
+const usePawnAnimation = (positions, board, enabled, jail = {}) => {
+	const [displayPositions, setDisplayPositions] = useState(positions);
+	const [movement, setMovement] = useState(null);
+	const [passingGo, setPassingGo] = useState(false);
+
+	const queueRef = useRef([]);
+	const targetsRef = useRef(positions);
+	const runningRef = useRef(false);
+	const timersRef = useRef(new Set());
+	const boardRef = useRef(board);
+	boardRef.current = board;
+
+	const schedule = (callback, delay) => {
+		const timer = setTimeout(() => {
+			timersRef.current.delete(timer);
+			callback();
+		}, delay);
+		timersRef.current.add(timer);
+	};
+
+	const cancelAll = () => {
+		timersRef.current.forEach(timer => clearTimeout(timer));
+		timersRef.current.clear();
+		queueRef.current = [];
+		runningRef.current = false;
+	};
+
+	/**
+	 * Play the next queued move, if nothing is playing
+	 */
+	const runNext = () => {
+		if (runningRef.current) return;
+		const move = queueRef.current.shift();
+		if (!move) return;
+
+		const tiles = boardRef.current || [];
+		const fromTile = tiles.find(tile => tile.id === move.from);
+		const teleport = move.jailed || Boolean(fromTile && TELEPORT_TILE_TYPES.includes(fromTile.type));
+		const path = getMovePath(move.from, move.to, tiles.length, teleport);
+		if (path.length === 0) {
+			runNext();
+			return;
+		}
+		runningRef.current = true;
+
+		const { pawnStepDuration, trailLength, goHighlightDuration } = config.animation;
+		// Catch up when moves pile up (e.g. fast replay)
+		const stepDuration = queueRef.current.length > 1 ? pawnStepDuration / 2 : pawnStepDuration;
+		const total = path.length * stepDuration;
+		const delayBefore = (index) => (
+			(easeInOut((index + 1) / path.length) - easeInOut(index / path.length)) * total
+		);
+
+		let trail = [];
+		let previousTile = move.from;
+		const step = (index) => {
+			const tile = path[index];
+			trail = [previousTile, ...trail].slice(0, trailLength);
+			previousTile = tile;
+
+			setDisplayPositions(current => ({ ...current, [move.player]: tile }));
+			setMovement({ player: move.player, trail, stepDuration });
+
+			if (tile === 0 && !teleport && path.length > 1) {
+				setPassingGo(true);
+				schedule(() => setPassingGo(false), goHighlightDuration);
+			}
+
+			if (index + 1 < path.length) {
+				schedule(() => step(index + 1), delayBefore(index + 1));
+			} else {
+				// Let the trail fade before the next pawn starts
+				schedule(() => {
+					setMovement(null);
+					runningRef.current = false;
+					runNext();
+				}, stepDuration * 2);
+			}
+		};
+		schedule(() => step(0), delayBefore(0));
+	};
+
+	useEffect(() => {
+		const previous = targetsRef.current;
+		targetsRef.current = positions;
+
+		const removedPlayer = Object.keys(previous).some(player => positions[player] === undefined);
+		if (!enabled || removedPlayer) {
+			// Reduced motion, or a reset: show the new positions immediately
+			cancelAll();
+			setDisplayPositions(positions);
+			setMovement(null);
+			setPassingGo(false);
+			return;
+		}
+
+		const appeared = {};
+		Object.entries(positions).forEach(([player, to]) => {
+			const from = previous[player];
+			if (from === undefined) {
+				appeared[player] = to;
+			} else if (from !== to) {
+				queueRef.current.push({ player, from, to, jailed: Boolean(jail[player]?.jailed) });
+			}
+		});
+		if (Object.keys(appeared).length > 0) {
+			setDisplayPositions(current => ({ ...current, ...appeared }));
+		}
+		runNext();
+	}, [positions, enabled]);
+
+	useEffect(() => cancelAll, []);
+
+	return { positions: displayPositions, movement, passingGo };
+};
+
+export default usePawnAnimation;
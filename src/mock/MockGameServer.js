@@ -0,0 +1,1571 @@
+/**
+ * Mock Game Server for Monopoly Online
+ * A self-contained stand-in for the real server that speaks the same protocol.
+ * It is transport-agnostic: MockSocket plugs it into WebSocketService, and tests
+ * can drive it directly through connect()
+ */
+
+import { standardBoard, standardPawns, cards } from './standardBoard';
+import {
+	MAX_LEVEL,
+	getMortgageValue,
+	getUnmortgageCost,
+	getBuildingSaleValue,
+	getMortgageBlocker,
+	getSellBlocker,
+	getUpgradeBlocker
+} from '../rules';
+import { CHAT_MAX_LENGTH } from '../chat';
+
+const STARTING_BALANCE = 1500;
+const GO_SALARY = 200;
+const BOARD_SIZE = 40;
+const JAIL_TILE = 10;
+const JAIL_FINE = 50;
+// Rolls a jailed player gets before the fine is due
+const JAIL_TURNS = 3;
+// Buildings in the bank at the start of a game
+const HOUSE_SUPPLY = 32;
+const HOTEL_SUPPLY = 12;
+
+/**
+ * Small seedable PRNG (mulberry32) so tests can get deterministic dice
+ * @param {number} seed - Seed value
+ * @returns {Function} - () => number in [0, 1)
+ */
+const createRandom = (seed) => {
+	let a = seed >>> 0;
+	return () => {
+		a = (a + 0x6D2B79F5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+};
+
+class MockGameServer {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.bots=0] - Bot opponents added to every new lobby
+	 * @param {number} [options.botDelay=800] - Delay (ms) between bot actions
+	 * @param {number|null} [options.seed=null] - PRNG seed for deterministic games
+	 * @param {number} [options.tradeExpiry=60000] - How long (ms) a trade offer stays open
+	 * @param {number} [options.auctionTime=10000] - How long (ms) an auction runs after the last bid
+	 */
+	constructor({ bots = 0, botDelay = 800, seed = null, tradeExpiry = 60000, auctionTime = 10000 } = {}) {
+		this.botCount = bots;
+		this.botDelay = botDelay;
+		this.tradeExpiry = tradeExpiry;
+		this.auctionTime = auctionTime;
+		this.random = seed === null ? Math.random : createRandom(seed);
+		this.lobbies = new Map();
+		this.finishedLobbies = new Map(); // lobby code -> usernames of the finished game, for rematches
+		this.sessions = new Map(); // session token -> { lobbyCode, username }
+		this.nextConnectionId = 1;
+		this.nextTradeId = 1;
+		this.nextAuctionId = 1;
+		this.nextChatId = 1;
+	}
+
+	/**
+	 * Attach a client
+	 * @param {Function} deliver - Called with each outgoing message object ({ type, data })
+	 * @returns {{send: Function, close: Function}} - Connection handle
+	 */
+	connect(deliver) {
+		const connection = { id: this.nextConnectionId++, deliver, lobbyCode: null, username: null };
+
+		return {
+			send: (message) => this.handle(connection, message),
+			close: () => this.detach(connection)
+		};
+	}
+
+	/**
+	 * Route a client message to its handler
+	 * @param {Object} connection - Client connection
+	 * @param {{type: string, data: Object}} message - Client message
+	 */
+	handle(connection, message) {
+		const handlers = {
+			PING: this.handlePing,
+			GAME_CREATE: this.handleGameCreate,
+			REQUEST_JOIN: this.handleRequestJoin,
+			PLAY_AGAIN: this.handlePlayAgain,
+			REQUEST_RESUME: this.handleRequestResume,
+			PICK_PAWN: this.handlePickPawn,
+			SET_READY: this.handleSetReady,
+			GAME_START: this.handleGameStart,
+			REQUEST_ROLL: this.handleRequestRoll,
+			FINISH_TURN: this.handleFinishTurn,
+			CHOICE_RESPONSE: this.handleChoiceResponse,
+			PAY_JAIL_FINE: this.handlePayJailFine,
+			USE_JAIL_CARD: this.handleUseJailCard,
+			PAY_DEBT: this.handlePayDebt,
+			DECLARE_BANKRUPTCY: this.handleDeclareBankruptcy,
+			REQUEST_UPGRADE: this.handleRequestUpgrade,
+			REQUEST_SELL_BUILDING: this.handleRequestSellBuilding,
+			REQUEST_MORTGAGE: this.handleRequestMortgage,
+			REQUEST_UNMORTGAGE: this.handleRequestUnmortgage,
+			GAME_END: this.handleGameEnd,
+			TRADE_OFFER: this.handleTradeOffer,
+			TRADE_RESPONSE: this.handleTradeResponse,
+			TRADE_CANCEL: this.handleTradeCancel,
+			AUCTION_BID: this.handleAuctionBid,
+			CHAT_MESSAGE: this.handleChatMessage
+		};
+
+		const handler = handlers[message.type];
+		if (!handler) {
+			this.sendError(connection, 'UNKNOWN_MESSAGE', `Unsupported message type: ${message.type}`);
+			return;
+		}
+		handler.call(this, connection, message.data || {});
+	}
+
+	// ---------------------------------------------------------------------
+	// Lobby handlers
+	// ---------------------------------------------------------------------
+
+	handlePing(connection, data) {
+		connection.deliver({ type: 'PONG', data: { timestamp: data.timestamp } });
+	}
+
+	handleGameCreate(connection, data) {
+		this.openLobby(this.generateLobbyCode(), connection, data.username);
+	}
+
+	handleRequestJoin(connection, data) {
+		const lobby = this.lobbies.get(data.lobby);
+		if (!lobby) {
+			this.sendError(connection, 'LOBBY_NOT_FOUND', `No lobby with code ${data.lobby}`);
+			return;
+		}
+		if (lobby.started) {
+			this.sendError(connection, 'GAME_IN_PROGRESS', 'This game has already started');
+			return;
+		}
+		if (lobby.players.some(p => p.username === data.username)) {
+			this.sendError(connection, 'USERNAME_TAKEN', 'That username is already in this lobby');
+			return;
+		}
+		if (lobby.players.length >= standardPawns.length) {
+			this.sendError(connection, 'LOBBY_FULL', 'This lobby is full');
+			return;
+		}
+
+		const player = this.addPlayer(lobby, data.username, connection);
+		connection.deliver({
+			type: 'JOIN_GAME',
+			data: {
+				board: standardBoard,
+				players: lobby.players.map(p => this.publicPlayer(p)),
+				pawns: standardPawns,
+				'lobby-code': lobby.code,
+				'session-token': player.token
+			}
+		});
+		this.broadcast(lobby, 'NEW_PLAYER', { player: this.publicPlayer(player) }, player.username);
+	}
+
+	/**
+	 * Rematch: the first player back reopens the finished game's lobby as its host,
+	 * the others join it like any lobby
+	 */
+	handlePlayAgain(connection, data) {
+		if (this.lobbies.has(data.lobby)) {
+			this.handleRequestJoin(connection, data);
+			return;
+		}
+
+		const players = this.finishedLobbies.get(data.lobby);
+		if (!players || !players.includes(data.username)) {
+			this.sendError(connection, 'LOBBY_NOT_FOUND', `No finished game of yours in lobby ${data.lobby}`);
+			return;
+		}
+		this.finishedLobbies.delete(data.lobby);
+		this.openLobby(data.lobby, connection, data.username);
+	}
+
+	/**
+	 * Create a lobby hosted by a player, with the configured bots
+	 */
+	openLobby(lobbyCode, connection, username) {
+		const lobby = {
+			code: lobbyCode,
+			host: username,
+			players: [],
+			started: false,
+			currentIndex: 0,
+			turn: null,
+			ownership: new Map(), // tile id -> { owner, level, mortgaged }
+			trades: new Map(), // trade id -> { id, from, to, offer, request, 'expires-at', timer }
+			auction: null, // { id, tileId, highBid, highBidder, endsAt, timer }
+			bank: { houses: HOUSE_SUPPLY, hotels: HOTEL_SUPPLY }
+		};
+		this.lobbies.set(lobbyCode, lobby);
+
+		const player = this.addPlayer(lobby, username, connection);
+		connection.deliver({
+			type: 'NEW_GAME',
+			data: {
+				'lobby-code': lobbyCode,
+				board: standardBoard,
+				pawns: standardPawns,
+				'session-token': player.token
+			}
+		});
+		this.broadcast(lobby, 'NEW_PLAYER', { player: this.publicPlayer(player) });
+
+		for (let i = 1; i <= this.botCount; i++) {
+			const bot = this.addPlayer(lobby, `Bot ${i}`, null);
+			this.broadcast(lobby, 'NEW_PLAYER', { player: this.publicPlayer(bot) });
+		}
+	}
+
+	handleRequestResume(connection, data) {
+		const session = this.sessions.get(data.token);
+		const lobby = session && this.lobbies.get(session.lobbyCode);
+		const player = lobby && lobby.players.find(p => p.username === session.username);
+		if (!player) {
+			connection.deliver({ type: 'RESUME_FAILED', data: { reason: 'Your game is no longer available.' } });
+			return;
+		}
+
+		player.connection = connection;
+		connection.lobbyCode = lobby.code;
+		connection.username = player.username;
+
+		connection.deliver({
+			type: 'RESUME_GAME',
+			data: {
+				username: player.username,
+				host: lobby.host,
+				'lobby-code': lobby.code,
+				board: standardBoard,
+				players: lobby.players.map(p => ({
+					...this.publicPlayer(p),
+					position: p.position,
+					balance: p.balance,
+					jailed: p.jailTurns > 0,
+					'jail-turns-left': p.jailTurns,
+					'jail-cards': p.jailCards
+				})),
+				pawns: standardPawns,
+				'current-turn': lobby.started ? this.currentPlayer(lobby).username : null,
+				balance: player.balance,
+				eliminated: lobby.players.filter(p => p.eliminated).map(p => p.username),
+				debt: player.debt || undefined,
+				'owned-properties': this.ownedProperties(lobby, player.username),
+				ownership: Array.from(lobby.ownership, ([id, { owner, level, mortgaged }]) => ({ id, owner, level, mortgaged })),
+				auction: lobby.auction ? this.auctionInfo(lobby.auction) : undefined,
+				'bank-supply': { ...lobby.bank }
+			}
+		});
+	}
+
+	handlePickPawn(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+		if (lobby.started) {
+			this.sendError(connection, 'GAME_IN_PROGRESS', 'Pawns cannot be changed once the game has started');
+			return;
+		}
+
+		const player = lobby.players.find(p => p.username === connection.username);
+		if (!standardPawns.some(pawn => pawn.name === data.pawn)) {
+			this.sendError(connection, 'UNKNOWN_PAWN', `There is no ${data.pawn} pawn`);
+			return;
+		}
+		if (player.ready) {
+			this.sendError(connection, 'ALREADY_READY', 'Cancel ready before changing your pawn');
+			return;
+		}
+		const holder = lobby.players.find(p => p.pawn === data.pawn && p !== player);
+		if (holder) {
+			this.sendError(connection, 'PAWN_TAKEN', `${holder.username} already has the ${data.pawn}`);
+			return;
+		}
+
+		player.pawn = data.pawn;
+		this.broadcast(lobby, 'PLAYER_UPDATE', { player: player.username, pawn: player.pawn });
+	}
+
+	handleSetReady(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+		if (lobby.started) {
+			this.sendError(connection, 'GAME_IN_PROGRESS', 'The game has already started');
+			return;
+		}
+
+		const player = lobby.players.find(p => p.username === connection.username);
+		player.ready = Boolean(data.ready);
+		this.broadcast(lobby, 'PLAYER_UPDATE', { player: player.username, ready: player.ready });
+	}
+
+	handleGameStart(connection) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+		if (connection.username !== lobby.host) {
+			this.sendError(connection, 'NOT_HOST', 'Only the host can start the game');
+			return;
+		}
+		if (lobby.players.length < 2) {
+			this.sendError(connection, 'NOT_ENOUGH_PLAYERS', 'At least 2 players are needed to start');
+			return;
+		}
+		const waiting = lobby.players.filter(p => !p.ready);
+		if (waiting.length > 0) {
+			this.sendError(connection, 'PLAYERS_NOT_READY', `Waiting for ${waiting.map(p => p.username).join(', ')} to get ready`);
+			return;
+		}
+
+		lobby.started = true;
+		this.broadcast(lobby, 'GAME_START', {});
+		this.broadcast(lobby, 'BANK_SUPPLY', { ...lobby.bank });
+		lobby.players.forEach(player => {
+			this.sendTo(player, 'PLAYER_DATA', { balance: player.balance, 'owned-properties': [] });
+			// Everyone else learns the starting cash too
+			this.broadcast(lobby, 'PLAYER_DATA', {
+				player: player.username,
+				balance: player.balance,
+				'owned-properties': []
+			}, player.username);
+		});
+		this.beginTurn(lobby, 0);
+	}
+
+	handleGameEnd(connection) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+		if (connection.username !== lobby.host) {
+			this.sendError(connection, 'NOT_HOST', 'Only the host can end the game');
+			return;
+		}
+		this.endGame(lobby, `${lobby.host} ended the game`);
+	}
+
+	// ---------------------------------------------------------------------
+	// Turn handlers
+	// ---------------------------------------------------------------------
+
+	handleRequestRoll(connection) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby || !this.checkTurn(connection, lobby)) return;
+		this.roll(lobby, this.currentPlayer(lobby));
+	}
+
+	handleFinishTurn(connection) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby || !this.checkTurn(connection, lobby)) return;
+		this.finishTurn(lobby);
+	}
+
+	handleChoiceResponse(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby || !this.checkTurn(connection, lobby)) return;
+		this.resolveChoice(lobby, this.currentPlayer(lobby), data.label);
+	}
+
+	handlePayJailFine(connection) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby || !this.checkTurn(connection, lobby)) return;
+
+		const player = this.currentPlayer(lobby);
+		if (!this.checkJailExit(lobby, player)) return;
+		if (player.balance < JAIL_FINE) {
+			this.sendTo(player, 'ERROR', { code: 'INSUFFICIENT_FUNDS', message: `You need $${JAIL_FINE} to pay the fine` });
+			return;
+		}
+		this.adjustBalance(lobby, player, -JAIL_FINE);
+		this.releaseFromJail(lobby, player);
+	}
+
+	handleUseJailCard(connection) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby || !this.checkTurn(connection, lobby)) return;
+
+		const player = this.currentPlayer(lobby);
+		if (!this.checkJailExit(lobby, player)) return;
+		if (player.jailCards === 0) {
+			this.sendTo(player, 'ERROR', { code: 'NO_JAIL_CARD', message: 'You have no Get Out of Jail Free card' });
+			return;
+		}
+		player.jailCards--;
+		this.releaseFromJail(lobby, player);
+	}
+
+	handlePayDebt(connection) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const player = lobby.players.find(p => p.username === connection.username);
+		if (!player.debt) {
+			this.sendError(connection, 'NO_DEBT', 'You do not owe anything');
+			return;
+		}
+		if (player.balance < player.debt.amount) {
+			this.sendError(connection, 'INSUFFICIENT_FUNDS', `You need $${player.debt.amount - player.balance} more`);
+			return;
+		}
+		this.settleDebt(lobby, player);
+	}
+
+	handleDeclareBankruptcy(connection) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const player = lobby.players.find(p => p.username === connection.username);
+		if (!player.debt) {
+			this.sendError(connection, 'NO_DEBT', 'You can only go bankrupt over a debt you cannot pay');
+			return;
+		}
+		this.declareBankruptcy(lobby, player);
+	}
+
+	handleRequestUpgrade(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const player = lobby.players.find(p => p.username === connection.username);
+		const error = this.upgrade(lobby, player, data.property?.id);
+		if (error) {
+			this.sendError(connection, 'UPGRADE_REJECTED', error);
+		}
+	}
+
+	handleRequestSellBuilding(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const player = lobby.players.find(p => p.username === connection.username);
+		const error = this.sellBuilding(lobby, player, data.property?.id);
+		if (error) {
+			this.sendError(connection, 'SELL_REJECTED', error);
+		}
+	}
+
+	handleRequestMortgage(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const player = lobby.players.find(p => p.username === connection.username);
+		const error = this.setMortgaged(lobby, player, data.property?.id, true);
+		if (error) {
+			this.sendError(connection, 'MORTGAGE_REJECTED', error);
+		}
+	}
+
+	handleRequestUnmortgage(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const player = lobby.players.find(p => p.username === connection.username);
+		const error = this.setMortgaged(lobby, player, data.property?.id, false);
+		if (error) {
+			this.sendError(connection, 'MORTGAGE_REJECTED', error);
+		}
+	}
+
+	// ---------------------------------------------------------------------
+	// Game rules
+	// ---------------------------------------------------------------------
+
+	/**
+	 * Start a player's turn
+	 */
+	beginTurn(lobby, index) {
+		lobby.currentIndex = index;
+		lobby.turn = { rolled: false, canRollAgain: false, pendingChoice: null };
+		const player = this.currentPlayer(lobby);
+		this.broadcast(lobby, 'NEXT_TURN', { player: player.username });
+
+		if (player.isBot) {
+			this.scheduleBot(lobby, () => this.playBotTurn(lobby, player));
+		}
+	}
+
+	/**
+	 * Roll the dice and move the current player
+	 */
+	roll(lobby, player) {
+		const { turn } = lobby;
+		if (lobby.auction) {
+			this.sendTo(player, 'ERROR', { code: 'AUCTION_RUNNING', message: 'Wait for the auction to finish' });
+			return;
+		}
+		if (turn.pendingChoice) {
+			this.sendTo(player, 'ERROR', { code: 'CHOICE_PENDING', message: 'Answer the pending choice first' });
+			return;
+		}
+		if (player.debt) {
+			this.sendTo(player, 'ERROR', { code: 'DEBT_PENDING', message: 'Settle your debt first' });
+			return;
+		}
+		if (turn.rolled && !turn.canRollAgain) {
+			this.sendTo(player, 'ERROR', { code: 'ALREADY_ROLLED', message: 'You have already rolled this turn' });
+			return;
+		}
+
+		const dice = [this.rollDie(), this.rollDie()];
+		const doubles = dice[0] === dice[1];
+		const jailed = player.jailTurns > 0;
+		turn.rolled = true;
+		// Doubles thrown in jail only open the cell
+		turn.canRollAgain = doubles && !jailed;
+		turn.lastRoll = dice[0] + dice[1];
+		this.broadcast(lobby, 'DICE_ROLL', { player: player.username, dice });
+
+		if (jailed && !this.rollOutOfJail(lobby, player, doubles)) return;
+		this.moveBy(lobby, player, dice[0] + dice[1]);
+	}
+
+	/**
+	 * Apply a roll made in jail: doubles free the player, otherwise a try is used up
+	 * and the fine is charged once none are left
+	 * @returns {boolean} - Whether the player leaves jail and moves
+	 */
+	rollOutOfJail(lobby, player, doubles) {
+		if (doubles) {
+			this.releaseFromJail(lobby, player);
+			return true;
+		}
+
+		player.jailTurns--;
+		if (player.jailTurns > 0) {
+			this.sendJailStatus(lobby, player);
+			this.sendTo(player, 'TILE_MESSAGE', { title: 'Jail', message: 'No doubles. You stay in jail.' });
+			return false;
+		}
+
+		this.sendTo(player, 'TILE_MESSAGE', {
+			title: 'Jail',
+			message: `No doubles on your last try. You pay the $${JAIL_FINE} fine and move.`
+		});
+		this.charge(lobby, player, JAIL_FINE);
+		this.releaseFromJail(lobby, player);
+		return true;
+	}
+
+	/**
+	 * Lock a player up; they get JAIL_TURNS rolls to throw doubles
+	 */
+	sendToJail(lobby, player) {
+		player.position = JAIL_TILE;
+		player.jailTurns = JAIL_TURNS;
+		this.broadcast(lobby, 'SET_POSITION', { player: player.username, position: JAIL_TILE, jailed: true });
+		this.sendJailStatus(lobby, player);
+		lobby.turn.canRollAgain = false;
+	}
+
+	/**
+	 * Let a player out of jail; they stay on the jail tile until they move
+	 */
+	releaseFromJail(lobby, player) {
+		player.jailTurns = 0;
+		this.sendJailStatus(lobby, player);
+	}
+
+	/**
+	 * Check that the current player can buy or card their way out of jail
+	 * @returns {boolean}
+	 */
+	checkJailExit(lobby, player) {
+		if (player.jailTurns === 0) {
+			this.sendTo(player, 'ERROR', { code: 'NOT_IN_JAIL', message: 'You are not in jail' });
+			return false;
+		}
+		if (lobby.turn.rolled) {
+			this.sendTo(player, 'ERROR', { code: 'ALREADY_ROLLED', message: 'You have already rolled this turn' });
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Tell everyone a player's jail state and card count
+	 */
+	sendJailStatus(lobby, player) {
+		this.broadcast(lobby, 'JAIL_STATUS', {
+			player: player.username,
+			jailed: player.jailTurns > 0,
+			'turns-left': player.jailTurns,
+			cards: player.jailCards,
+			fine: JAIL_FINE
+		});
+	}
+
+	/**
+	 * Move a player forward (or backward), paying GO salary when passing it
+	 */
+	moveBy(lobby, player, spaces) {
+		const target = (player.position + spaces + BOARD_SIZE) % BOARD_SIZE;
+		const passedGo = spaces > 0 && target < player.position;
+		this.moveTo(lobby, player, target, passedGo);
+	}
+
+	/**
+	 * Move a player to a tile and resolve it
+	 */
+	moveTo(lobby, player, target, passedGo) {
+		player.position = target;
+		this.broadcast(lobby, 'SET_POSITION', { player: player.username, position: target });
+
+		if (passedGo) {
+			this.adjustBalance(lobby, player, GO_SALARY);
+		}
+		this.resolveTile(lobby, player, standardBoard[target]);
+	}
+
+	/**
+	 * Apply the effect of the tile a player landed on
+	 */
+	resolveTile(lobby, player, tile) {
+		if (tile.properties.purchasable) {
+			const ownership = lobby.ownership.get(tile.id);
+			if (!ownership) {
+				this.offerPurchase(lobby, player, tile);
+			} else if (ownership.owner !== player.username) {
+				this.chargeRent(lobby, player, tile, ownership);
+			}
+			return;
+		}
+
+		switch (tile.type) {
+			case 'tax':
+				if (this.charge(lobby, player, tile.tax)) {
+					this.sendTo(player, 'TILE_MESSAGE', { title: tile.name, message: `You paid $${tile.tax} in tax.` });
+				}
+				break;
+			case 'chance':
+			case 'community-chest':
+				this.drawCard(lobby, player, tile.type);
+				break;
+			case 'go-to-jail':
+				this.sendTo(player, 'TILE_MESSAGE', { title: tile.name, message: 'Go directly to Jail. Do not pass GO.' });
+				this.sendToJail(lobby, player);
+				break;
+			default:
+				break;
+		}
+	}
+
+	/**
+	 * Ask the player whether to buy an unowned tile
+	 */
+	offerPurchase(lobby, player, tile) {
+		const price = tile['owner-costs'][0];
+		lobby.turn.pendingChoice = { kind: 'buy', tileId: tile.id };
+		this.sendTo(player, 'CHOICE', {
+			title: `Buy ${tile.name} for $${price}?`,
+			options: [
+				{ label: 'Buy', description: `Pay $${price} to the bank` },
+				{ label: 'Pass', description: 'Put it up for auction' }
+			]
+		});
+	}
+
+	/**
+	 * Apply the answer to a pending choice
+	 */
+	resolveChoice(lobby, player, label) {
+		const pending = lobby.turn.pendingChoice;
+		if (!pending) {
+			this.sendTo(player, 'ERROR', { code: 'NO_CHOICE', message: 'There is nothing to choose right now' });
+			return;
+		}
+		lobby.turn.pendingChoice = null;
+
+		if (pending.kind === 'buy' && label === 'Buy') {
+			const tile = standardBoard[pending.tileId];
+			const price = tile['owner-costs'][0];
+			if (player.balance < price) {
+				this.sendTo(player, 'ERROR', { code: 'INSUFFICIENT_FUNDS', message: `You need $${price} to buy ${tile.name}` });
+				return;
+			}
+
+			this.adjustBalance(lobby, player, -price);
+			lobby.ownership.set(tile.id, { owner: player.username, level: 0, mortgaged: false });
+			this.broadcast(lobby, 'PROPERTY_TRANSFER', {
+				player: player.username,
+				property: this.propertyInfo(tile, 0)
+			});
+		} else if (pending.kind === 'buy') {
+			// Declined purchases go to auction
+			this.startAuction(lobby, standardBoard[pending.tileId]);
+		}
+	}
+
+	/**
+	 * Charge rent from the visitor to the owner
+	 */
+	chargeRent(lobby, player, tile, ownership) {
+		const owner = lobby.players.find(p => p.username === ownership.owner);
+		if (!owner) return;
+
+		if (ownership.mortgaged) {
+			this.sendTo(player, 'TILE_MESSAGE', { title: tile.name, message: 'This property is mortgaged, so no rent is due.' });
+			return;
+		}
+
+		const rent = this.rentFor(lobby, tile, ownership);
+		if (this.charge(lobby, player, rent, owner)) {
+			this.sendTo(player, 'TILE_MESSAGE', {
+				title: tile.name,
+				message: `You paid $${rent} rent to ${owner.username}.`
+			});
+		}
+	}
+
+	/**
+	 * Take a payment from a player, to another player or the bank
+	 * A player who cannot cover it is left owing the full amount until they
+	 * raise the cash (PAY_DEBT) or go bankrupt
+	 * @returns {boolean} - Whether it was paid right away
+	 */
+	charge(lobby, player, amount, creditor = null) {
+		if (player.balance >= amount) {
+			this.adjustBalance(lobby, player, -amount);
+			if (creditor) this.adjustBalance(lobby, creditor, amount);
+			return true;
+		}
+
+		player.debt = { amount, creditor: creditor ? creditor.username : null };
+		const data = { player: player.username, amount };
+		if (creditor) data.creditor = creditor.username;
+		this.broadcast(lobby, 'DEBT', data);
+		return false;
+	}
+
+	/**
+	 * Pay a debt in full once the player has the cash
+	 */
+	settleDebt(lobby, player) {
+		const { amount, creditor } = player.debt;
+		const payee = lobby.players.find(p => p.username === creditor && !p.eliminated);
+		player.debt = null;
+		this.adjustBalance(lobby, player, -amount);
+		if (payee) this.adjustBalance(lobby, payee, amount);
+		this.broadcast(lobby, 'DEBT_SETTLED', { player: player.username });
+	}
+
+	/**
+	 * Put a player out of the game over an unpaid debt
+	 * Buildings go back to the bank for half their cost; the cash and properties
+	 * (mortgages included) go to the creditor, or back to the bank
+	 */
+	declareBankruptcy(lobby, player) {
+		const creditor = lobby.players.find(p => p.username === player.debt.creditor && !p.eliminated) || null;
+		player.debt = null;
+		player.jailTurns = 0;
+
+		lobby.ownership.forEach((ownership, tileId) => {
+			if (ownership.owner !== player.username) return;
+			const tile = standardBoard[tileId];
+			let cash = 0;
+			while (ownership.level > 0) {
+				cash += getBuildingSaleValue(tile, ownership.level);
+				this.returnToBank(lobby, ownership.level);
+				ownership.level--;
+			}
+			if (cash > 0) {
+				this.broadcast(lobby, 'PROPERTY_DOWNGRADE', { player: player.username, property: { id: tile.id, level: 0 } });
+				this.adjustBalance(lobby, player, cash);
+			}
+		});
+
+		if (creditor && player.balance > 0) {
+			this.adjustBalance(lobby, creditor, player.balance);
+		}
+		if (player.balance !== 0) {
+			this.adjustBalance(lobby, player, -player.balance);
+		}
+
+		lobby.ownership.forEach((ownership, tileId) => {
+			if (ownership.owner !== player.username) return;
+			if (!creditor) {
+				lobby.ownership.delete(tileId);
+				return;
+			}
+			ownership.owner = creditor.username;
+			this.broadcast(lobby, 'PROPERTY_TRANSFER', {
+				player: creditor.username,
+				property: this.propertyInfo(standardBoard[tileId], 0, ownership.mortgaged)
+			});
+		});
+
+		lobby.trades.forEach(trade => {
+			if (trade.from === player.username || trade.to === player.username) {
+				this.closeTrade(lobby, trade, 'cancelled', `${player.username} went bankrupt`);
+			}
+		});
+
+		player.eliminated = true;
+		const data = { player: player.username, reason: 'bankrupt' };
+		if (creditor) data.creditor = creditor.username;
+		this.broadcast(lobby, 'PLAYER_ELIMINATED', data);
+
+		const remaining = lobby.players.filter(p => !p.eliminated);
+		if (remaining.length === 1) {
+			this.endGame(lobby, `${remaining[0].username} wins!`);
+		} else if (this.currentPlayer(lobby) === player) {
+			this.beginTurn(lobby, this.nextActiveIndex(lobby));
+		}
+	}
+
+	/**
+	 * Compute rent for a tile
+	 */
+	rentFor(lobby, tile, ownership) {
+		const rents = tile['trespass-costs'];
+		const ownedOfType = (type) => standardBoard.filter(t => (
+			t.type === type && lobby.ownership.get(t.id)?.owner === ownership.owner
+		)).length;
+
+		if (tile.type === 'transport') {
+			return rents[ownedOfType('transport') - 1];
+		}
+		if (tile.type === 'utility') {
+			return rents[ownedOfType('utility') - 1] * (lobby.turn.lastRoll || 7);
+		}
+
+		// Unimproved properties in a complete color set earn double rent
+		if (ownership.level === 0 && this.ownsColorSet(lobby, ownership.owner, tile.color)) {
+			return rents[0] * 2;
+		}
+		return rents[ownership.level];
+	}
+
+	/**
+	 * Draw a Chance / Community Chest card and apply it
+	 */
+	drawCard(lobby, player, deck) {
+		const deckCards = cards[deck];
+		const card = deckCards[Math.floor(this.random() * deckCards.length)];
+		this.sendTo(player, 'TILE_MESSAGE', { title: card.title, message: card.message });
+
+		if (card.money > 0) {
+			this.adjustBalance(lobby, player, card.money);
+		} else if (card.money < 0) {
+			this.charge(lobby, player, -card.money);
+		} else if (card.moveTo !== undefined) {
+			this.moveTo(lobby, player, card.moveTo, card.moveTo < player.position || card.moveTo === 0);
+		} else if (card.moveBy) {
+			this.moveBy(lobby, player, card.moveBy);
+		} else if (card.jailCard) {
+			player.jailCards++;
+			this.sendJailStatus(lobby, player);
+		} else if (card.goToJail) {
+			this.sendToJail(lobby, player);
+		}
+	}
+
+	/**
+	 * Build one level on a property
+	 * @returns {string|null} - Rejection reason, or null on success
+	 */
+	upgrade(lobby, player, tileId) {
+		const tile = standardBoard[tileId];
+		const ownership = lobby.ownership.get(tileId);
+		if (!tile || !ownership || ownership.owner !== player.username) return 'You do not own this property';
+
+		const error = getUpgradeBlocker(
+			standardBoard, this.ownedProperties(lobby, player.username), tile, player.balance, lobby.bank
+		);
+		if (error) return error;
+
+		const cost = tile['owner-costs'][ownership.level + 1];
+		ownership.level++;
+		this.takeFromBank(lobby, ownership.level);
+		this.adjustBalance(lobby, player, -cost);
+		this.broadcast(lobby, 'PROPERTY_UPGRADE', {
+			player: player.username,
+			property: { id: tile.id, level: ownership.level }
+		});
+		return null;
+	}
+
+	/**
+	 * Sell the top building on a property back to the bank for half its cost
+	 * @returns {string|null} - Rejection reason, or null on success
+	 */
+	sellBuilding(lobby, player, tileId) {
+		const tile = standardBoard[tileId];
+		const ownership = lobby.ownership.get(tileId);
+		if (!tile || !ownership || ownership.owner !== player.username) return 'You do not own this property';
+
+		const error = getSellBlocker(standardBoard, this.ownershipObject(lobby), tile, player.username, lobby.bank);
+		if (error) return error;
+
+		const refund = getBuildingSaleValue(tile, ownership.level);
+		this.returnToBank(lobby, ownership.level);
+		ownership.level--;
+		this.adjustBalance(lobby, player, refund);
+		this.broadcast(lobby, 'PROPERTY_DOWNGRADE', {
+			player: player.username,
+			property: { id: tile.id, level: ownership.level }
+		});
+		return null;
+	}
+
+	/**
+	 * Take the building for a new level from the bank (a hotel hands its four houses back)
+	 */
+	takeFromBank(lobby, newLevel) {
+		if (newLevel === MAX_LEVEL) {
+			lobby.bank.hotels--;
+			lobby.bank.houses += MAX_LEVEL - 1;
+		} else {
+			lobby.bank.houses--;
+		}
+		this.broadcast(lobby, 'BANK_SUPPLY', { ...lobby.bank });
+	}
+
+	/**
+	 * Return the building of a level being sold (a hotel is swapped back for four houses)
+	 */
+	returnToBank(lobby, oldLevel) {
+		if (oldLevel === MAX_LEVEL) {
+			lobby.bank.hotels++;
+			lobby.bank.houses -= MAX_LEVEL - 1;
+		} else {
+			lobby.bank.houses++;
+		}
+		this.broadcast(lobby, 'BANK_SUPPLY', { ...lobby.bank });
+	}
+
+	/**
+	 * Mortgage a property for half its price, or lift the mortgage with 10% interest
+	 * @returns {string|null} - Rejection reason, or null on success
+	 */
+	setMortgaged(lobby, player, tileId, mortgaged) {
+		const tile = standardBoard[tileId];
+		const ownership = lobby.ownership.get(tileId);
+		if (!tile || !ownership || ownership.owner !== player.username) return 'You do not own this property';
+
+		if (mortgaged) {
+			const error = getMortgageBlocker(standardBoard, this.ownershipObject(lobby), tile, player.username);
+			if (error) return error;
+			this.adjustBalance(lobby, player, getMortgageValue(tile));
+		} else {
+			if (!ownership.mortgaged) return 'This property is not mortgaged';
+			const { total } = getUnmortgageCost(tile);
+			if (player.balance < total) return `You need $${total} to lift this mortgage`;
+			this.adjustBalance(lobby, player, -total);
+		}
+
+		ownership.mortgaged = mortgaged;
+		this.broadcast(lobby, 'PROPERTY_MORTGAGE', {
+			player: player.username,
+			property: { id: tile.id, mortgaged }
+		});
+		return null;
+	}
+
+	/**
+	 * Pass the turn to the next player
+	 */
+	finishTurn(lobby) {
+		const { turn } = lobby;
+		const player = this.currentPlayer(lobby);
+		if (!turn.rolled) {
+			this.sendTo(player, 'ERROR', { code: 'NOT_ROLLED', message: 'Roll the dice before ending your turn' });
+			return;
+		}
+		if (turn.pendingChoice) {
+			this.sendTo(player, 'ERROR', { code: 'CHOICE_PENDING', message: 'Answer the pending choice first' });
+			return;
+		}
+		if (lobby.auction) {
+			this.sendTo(player, 'ERROR', { code: 'AUCTION_RUNNING', message: 'Wait for the auction to finish' });
+			return;
+		}
+		if (player.debt) {
+			this.sendTo(player, 'ERROR', { code: 'DEBT_PENDING', message: 'Settle your debt first' });
+			return;
+		}
+		this.beginTurn(lobby, this.nextActiveIndex(lobby));
+	}
+
+	/**
+	 * Index of the next player still in the game
+	 */
+	nextActiveIndex(lobby) {
+		let index = lobby.currentIndex;
+		do {
+			index = (index + 1) % lobby.players.length;
+		} while (lobby.players[index].eliminated && index !== lobby.currentIndex);
+		return index;
+	}
+
+	/**
+	 * End the game for everyone in a lobby
+	 */
+	endGame(lobby, reason) {
+		lobby.trades.forEach(trade => clearTimeout(trade.timer));
+		if (lobby.auction) clearTimeout(lobby.auction.timer);
+		this.broadcast(lobby, 'GAME_END', { reason });
+		lobby.players.forEach(player => this.sessions.delete(player.token));
+		this.lobbies.delete(lobby.code);
+		this.finishedLobbies.set(lobby.code, lobby.players.filter(p => !p.isBot).map(p => p.username));
+	}
+
+	// ---------------------------------------------------------------------
+	// Trades
+	// ---------------------------------------------------------------------
+
+	handleTradeOffer(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const from = lobby.players.find(p => p.username === connection.username);
+		const error = this.createTrade(lobby, from, data);
+		if (error) {
+			this.sendError(connection, 'TRADE_REJECTED', error);
+		}
+	}
+
+	handleTradeResponse(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const trade = lobby.trades.get(data.id);
+		if (!trade || trade.to !== connection.username) {
+			this.sendError(connection, 'TRADE_NOT_FOUND', 'This trade offer is no longer open');
+			return;
+		}
+		if (data.action === 'accept') {
+			this.acceptTrade(lobby, trade);
+		} else {
+			this.closeTrade(lobby, trade, 'rejected');
+		}
+	}
+
+	handleTradeCancel(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const trade = lobby.trades.get(data.id);
+		if (!trade || trade.from !== connection.username) {
+			this.sendError(connection, 'TRADE_NOT_FOUND', 'This trade offer is no longer open');
+			return;
+		}
+		this.closeTrade(lobby, trade, 'cancelled');
+	}
+
+	/**
+	 * Validate and open a trade offer (or counter-offer)
+	 * @returns {string|null} - Rejection reason, or null on success
+	 */
+	createTrade(lobby, from, data) {
+		if (!lobby.started) return 'The game has not started yet';
+
+		const to = lobby.players.find(p => p.username === data.to);
+		if (!to || to === from) return 'Choose another player to trade with';
+
+		const offer = { properties: data.offer.properties || [], cash: data.offer.cash || 0 };
+		const request = { properties: data.request.properties || [], cash: data.request.cash || 0 };
+		if (offer.properties.length + request.properties.length === 0 && offer.cash + request.cash === 0) {
+			return 'A trade needs at least one property or some cash';
+		}
+		const error = this.checkTradeSide(lobby, from, offer) || this.checkTradeSide(lobby, to, request);
+		if (error) return error;
+
+		const counterOf = data['counter-of'];
+		if (counterOf !== undefined && counterOf !== null) {
+			const original = lobby.trades.get(counterOf);
+			if (!original || original.to !== from.username) return 'The offer you are countering is no longer open';
+			this.closeTrade(lobby, original, 'countered');
+		}
+
+		const trade = {
+			id: `trade-${this.nextTradeId++}`,
+			from: from.username,
+			to: to.username,
+			offer,
+			request,
+			'expires-at': Date.now() + this.tradeExpiry
+		};
+		if (counterOf !== undefined && counterOf !== null) {
+			trade['counter-of'] = counterOf;
+		}
+		trade.timer = setTimeout(() => this.closeTrade(lobby, trade, 'expired'), this.tradeExpiry);
+		lobby.trades.set(trade.id, trade);
+
+		const { timer, ...message } = trade;
+		this.sendTo(from, 'TRADE_OFFER', message);
+		this.sendTo(to, 'TRADE_OFFER', message);
+
+		if (to.isBot) {
+			this.scheduleBot(lobby, () => this.botConsiderTrade(lobby, trade));
+		}
+		return null;
+	}
+
+	/**
+	 * Check that a player can hand over one side of a trade
+	 * @returns {string|null} - Problem, or null when valid
+	 */
+	checkTradeSide(lobby, player, side) {
+		if (side.cash < 0) return 'Cash amounts cannot be negative';
+		if (side.cash > player.balance) return `${player.username} does not have $${side.cash}`;
+
+		for (const id of side.properties) {
+			const ownership = lobby.ownership.get(id);
+			if (!ownership || ownership.owner !== player.username) {
+				return `${player.username} does not own ${standardBoard[id]?.name || `tile ${id}`}`;
+			}
+			if (ownership.level > 0) {
+				return `Sell the buildings on ${standardBoard[id].name} before trading it`;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Swap the cash and properties of an accepted trade
+	 */
+	acceptTrade(lobby, trade) {
+		const from = lobby.players.find(p => p.username === trade.from);
+		const to = lobby.players.find(p => p.username === trade.to);
+		const error = this.checkTradeSide(lobby, from, trade.offer) || this.checkTradeSide(lobby, to, trade.request);
+		if (error) {
+			this.closeTrade(lobby, trade, 'rejected', error);
+			return;
+		}
+
+		this.closeTrade(lobby, trade, 'accepted');
+		this.handOver(lobby, from, to, trade.offer);
+		this.handOver(lobby, to, from, trade.request);
+	}
+
+	/**
+	 * Move one side of a trade from one player to another
+	 */
+	handOver(lobby, giver, receiver, side) {
+		if (side.cash > 0) {
+			this.adjustBalance(lobby, giver, -side.cash);
+			this.adjustBalance(lobby, receiver, side.cash);
+		}
+		side.properties.forEach(id => {
+			const ownership = lobby.ownership.get(id);
+			ownership.owner = receiver.username;
+			this.broadcast(lobby, 'PROPERTY_TRANSFER', {
+				player: receiver.username,
+				property: this.propertyInfo(standardBoard[id], ownership.level, ownership.mortgaged)
+			});
+		});
+	}
+
+	/**
+	 * Close a trade and tell both sides
+	 */
+	closeTrade(lobby, trade, status, reason) {
+		if (!lobby.trades.has(trade.id)) return;
+		clearTimeout(trade.timer);
+		lobby.trades.delete(trade.id);
+
+		const data = { id: trade.id, status };
+		if (reason) data.reason = reason;
+		[trade.from, trade.to].forEach(username => {
+			const player = lobby.players.find(p => p.username === username);
+			if (player) this.sendTo(player, 'TRADE_UPDATE', data);
+		});
+	}
+
+	// ---------------------------------------------------------------------
+	// Auctions
+	// ---------------------------------------------------------------------
+
+	handleAuctionBid(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const player = lobby.players.find(p => p.username === connection.username);
+		const error = this.placeBid(lobby, player, data.id, data.amount);
+		if (error) {
+			this.sendError(connection, 'BID_REJECTED', error);
+		}
+	}
+
+	/**
+	 * Put a tile up for auction; every player may bid
+	 */
+	startAuction(lobby, tile) {
+		const auction = {
+			id: `auction-${this.nextAuctionId++}`,
+			tileId: tile.id,
+			highBid: 0,
+			highBidder: null,
+			endsAt: Date.now() + this.auctionTime
+		};
+		auction.timer = setTimeout(() => this.endAuction(lobby), this.auctionTime);
+		lobby.auction = auction;
+
+		const { 'high-bid': highBid, 'high-bidder': highBidder, ...message } = this.auctionInfo(auction);
+		this.broadcast(lobby, 'AUCTION_START', message);
+		this.scheduleBotBids(lobby);
+	}
+
+	/**
+	 * Validate and record a bid; every bid restarts the auction clock
+	 * @returns {string|null} - Rejection reason, or null on success
+	 */
+	placeBid(lobby, player, auctionId, amount) {
+		const { auction } = lobby;
+		if (!auction || auction.id !== auctionId) return 'This auction has already closed';
+
+		const minimum = auction.highBidder ? auction.highBid + 1 : 1;
+		if (!Number.isInteger(amount) || amount < minimum) return `Bid at least $${minimum}`;
+		if (amount > player.balance) return `You only have $${player.balance}`;
+		if (player.eliminated) return 'You are out of the game';
+
+		auction.highBid = amount;
+		auction.highBidder = player.username;
+		auction.endsAt = Date.now() + this.auctionTime;
+		clearTimeout(auction.timer);
+		auction.timer = setTimeout(() => this.endAuction(lobby), this.auctionTime);
+
+		this.broadcast(lobby, 'AUCTION_BID', {
+			id: auction.id,
+			player: player.username,
+			amount,
+			'ends-at': auction.endsAt
+		});
+		this.scheduleBotBids(lobby);
+		return null;
+	}
+
+	/**
+	 * Close the auction and sell the tile to the highest bidder
+	 */
+	endAuction(lobby) {
+		const { auction } = lobby;
+		if (!auction) return;
+		clearTimeout(auction.timer);
+		lobby.auction = null;
+
+		const winner = lobby.players.find(p => p.username === auction.highBidder);
+		if (!winner || winner.balance < auction.highBid) {
+			this.broadcast(lobby, 'AUCTION_END', { id: auction.id });
+			return;
+		}
+
+		const tile = standardBoard[auction.tileId];
+		this.broadcast(lobby, 'AUCTION_END', { id: auction.id, winner: winner.username, amount: auction.highBid });
+		this.adjustBalance(lobby, winner, -auction.highBid);
+		lobby.ownership.set(tile.id, { owner: winner.username, level: 0, mortgaged: false });
+		this.broadcast(lobby, 'PROPERTY_TRANSFER', {
+			player: winner.username,
+			property: this.propertyInfo(tile, 0)
+		});
+	}
+
+	auctionInfo(auction) {
+		return {
+			id: auction.id,
+			property: this.propertyInfo(standardBoard[auction.tileId], 0),
+			'min-bid': 1,
+			'ends-at': auction.endsAt,
+			'high-bid': auction.highBid,
+			'high-bidder': auction.highBidder
+		};
+	}
+
+	// ---------------------------------------------------------------------
+	// Chat
+	// ---------------------------------------------------------------------
+
+	handleChatMessage(connection, data) {
+		const lobby = this.lobbyOf(connection);
+		if (!lobby) return;
+
+		const text = String(data.text || '').trim();
+		if (!text) {
+			this.sendError(connection, 'EMPTY_MESSAGE', 'Chat messages cannot be empty');
+			return;
+		}
+		if (text.length > CHAT_MAX_LENGTH) {
+			this.sendError(connection, 'MESSAGE_TOO_LONG', `Chat messages are limited to ${CHAT_MAX_LENGTH} characters`);
+			return;
+		}
+
+		this.broadcast(lobby, 'CHAT_MESSAGE', {
+			id: this.nextChatId++,
+			player: connection.username,
+			text,
+			emote: Boolean(data.emote),
+			time: Date.now()
+		});
+	}
+
+	// ---------------------------------------------------------------------
+	// Bots
+	// ---------------------------------------------------------------------
+
+	/**
+	 * Run a bot action after the configured delay
+	 */
+	scheduleBot(lobby, action) {
+		setTimeout(() => {
+			// A rematch reopens the lobby code; this timer belongs to the old game
+			if (this.lobbies.get(lobby.code) === lobby) {
+				action();
+			}
+		}, this.botDelay);
+	}
+
+	/**
+	 * Play a full bot turn: roll, buy if it leaves a cushion, repeat on doubles, end turn
+	 * A jailed bot uses a card if it has one, pays when rich, and rolls otherwise
+	 */
+	playBotTurn(lobby, bot) {
+		if (this.currentPlayer(lobby) !== bot) return;
+		if (lobby.auction) {
+			this.scheduleBot(lobby, () => this.playBotTurn(lobby, bot));
+			return;
+		}
+
+		if (bot.jailTurns > 0 && !lobby.turn.rolled) {
+			if (bot.jailCards > 0) {
+				bot.jailCards--;
+				this.releaseFromJail(lobby, bot);
+			} else if (bot.balance - JAIL_FINE >= 500) {
+				this.adjustBalance(lobby, bot, -JAIL_FINE);
+				this.releaseFromJail(lobby, bot);
+			}
+		}
+
+		this.roll(lobby, bot);
+
+		const pending = lobby.turn.pendingChoice;
+		if (pending) {
+			const price = standardBoard[pending.tileId]['owner-costs'][0];
+			this.resolveChoice(lobby, bot, bot.balance - price >= 200 ? 'Buy' : 'Pass');
+		}
+
+		if (bot.debt && !this.botResolveDebt(lobby, bot)) return;
+
+		if (lobby.turn.canRollAgain) {
+			this.scheduleBot(lobby, () => this.playBotTurn(lobby, bot));
+		} else {
+			this.scheduleBot(lobby, () => this.finishBotTurn(lobby, bot));
+		}
+	}
+
+	/**
+	 * Sell buildings, then mortgage, until a bot can pay its debt
+	 * @returns {boolean} - Whether the bot is still in the game
+	 */
+	botResolveDebt(lobby, bot) {
+		const owned = () => [...lobby.ownership.entries()]
+			.filter(([, ownership]) => ownership.owner === bot.username)
+			.map(([tileId]) => tileId);
+
+		// Each sale or mortgage is checked by the usual rules; stop once nothing goes through
+		let raised = true;
+		while (bot.balance < bot.debt.amount && raised) {
+			raised = owned().some(tileId => !this.sellBuilding(lobby, bot, tileId))
+				|| owned().some(tileId => !this.setMortgaged(lobby, bot, tileId, true));
+		}
+
+		if (bot.balance < bot.debt.amount) {
+			this.declareBankruptcy(lobby, bot);
+			return false;
+		}
+		this.settleDebt(lobby, bot);
+		return true;
+	}
+
+	/**
+	 * End a bot's turn once any auction it started is over
+	 */
+	finishBotTurn(lobby, bot) {
+		if (this.currentPlayer(lobby) !== bot) return;
+		if (lobby.auction) {
+			this.scheduleBot(lobby, () => this.finishBotTurn(lobby, bot));
+			return;
+		}
+		this.finishTurn(lobby);
+	}
+
+	/**
+	 * Let every bot react to the current high bid
+	 * Bots pay up to the list price while keeping a $200 cushion
+	 */
+	scheduleBotBids(lobby) {
+		const { auction } = lobby;
+		const price = standardBoard[auction.tileId]['owner-costs'][0];
+
+		lobby.players.filter(p => p.isBot && !p.eliminated && p.username !== auction.highBidder).forEach(bot => {
+			const seenBid = auction.highBid;
+			this.scheduleBot(lobby, () => {
+				// Only answer the bid this bot saw, not a later one
+				if (lobby.auction !== auction || auction.highBid !== seenBid) return;
+				const bid = auction.highBidder ? auction.highBid + 10 : Math.floor(price / 2);
+				if (bid <= price && bot.balance - bid >= 200) {
+					this.placeBid(lobby, bot, auction.id, bid);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Bots accept trades where what they get is worth at least what they give
+	 */
+	botConsiderTrade(lobby, trade) {
+		if (!lobby.trades.has(trade.id)) return;
+
+		const worth = (side) => side.cash + side.properties.reduce(
+			(total, id) => total + standardBoard[id]['owner-costs'][0], 0
+		);
+		if (worth(trade.offer) >= worth(trade.request)) {
+			this.acceptTrade(lobby, trade);
+		} else {
+			this.closeTrade(lobby, trade, 'rejected', 'Not a good deal for me');
+		}
+	}
+
+	// ---------------------------------------------------------------------
+	// Helpers
+	// ---------------------------------------------------------------------
+
+	addPlayer(lobby, username, connection) {
+		const token = `mock-${lobby.code}-${username}-${Math.floor(this.random() * 1e9)}`;
+		const player = {
+			username,
+			// First pawn nobody has picked yet
+			pawn: standardPawns.find(pawn => !lobby.players.some(p => p.pawn === pawn.name)).name,
+			balance: STARTING_BALANCE,
+			position: 0,
+			jailTurns: 0, // Rolls left in jail; 0 when free
+			jailCards: 0, // Get Out of Jail Free cards held
+			debt: null, // { amount, creditor } while a payment is outstanding
+			eliminated: false,
+			isBot: connection === null,
+			// Bots are always ready
+			ready: connection === null,
+			connection,
+			token
+		};
+		lobby.players.push(player);
+		this.sessions.set(token, { lobbyCode: lobby.code, username });
+
+		if (connection) {
+			connection.lobbyCode = lobby.code;
+			connection.username = username;
+		}
+		return player;
+	}
+
+	detach(connection) {
+		const lobby = this.lobbies.get(connection.lobbyCode);
+		const player = lobby && lobby.players.find(p => p.connection === connection);
+		if (player) {
+			// Keep the player in the game so they can resume with their session token
+			player.connection = null;
+		}
+	}
+
+	adjustBalance(lobby, player, amount) {
+		player.balance += amount;
+		this.broadcast(lobby, 'TRANSACTION', {
+			player: player.username,
+			'balance-change': amount,
+			'balance-sync': player.balance
+		});
+	}
+
+	ownsColorSet(lobby, username, color) {
+		return standardBoard
+			.filter(t => t.type === 'property' && t.color === color)
+			.every(t => lobby.ownership.get(t.id)?.owner === username);
+	}
+
+	ownedProperties(lobby, username) {
+		const owned = [];
+		lobby.ownership.forEach((ownership, tileId) => {
+			if (ownership.owner === username) {
+				owned.push(this.propertyInfo(standardBoard[tileId], ownership.level, ownership.mortgaged));
+			}
+		});
+		return owned;
+	}
+
+	propertyInfo(tile, level, mortgaged = false) {
+		return { id: tile.id, name: tile.name, color: tile.color, level, mortgaged };
+	}
+
+	/**
+	 * Ownership as a plain object, the shape the shared rules expect
+	 */
+	ownershipObject(lobby) {
+		return Object.fromEntries(lobby.ownership);
+	}
+
+	publicPlayer(player) {
+		return { username: player.username, pawn: player.pawn, ready: player.ready };
+	}
+
+	currentPlayer(lobby) {
+		return lobby.players[lobby.currentIndex];
+	}
+
+	lobbyOf(connection) {
+		const lobby = this.lobbies.get(connection.lobbyCode);
+		if (!lobby) {
+			this.sendError(connection, 'NOT_IN_LOBBY', 'Join a lobby first');
+		}
+		return lobby;
+	}
+
+	checkTurn(connection, lobby) {
+		if (!lobby.started) {
+			this.sendError(connection, 'NOT_STARTED', 'The game has not started yet');
+			return false;
+		}
+		if (this.currentPlayer(lobby).username !== connection.username) {
+			this.sendError(connection, 'NOT_YOUR_TURN', "It's not your turn");
+			return false;
+		}
+		return true;
+	}
+
+	rollDie() {
+		return 1 + Math.floor(this.random() * 6);
+	}
+
+	generateLobbyCode() {
+		const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+		let code;
+		do {
+			code = '';
+			for (let i = 0; i < 6; i++) {
+				code += alphabet[Math.floor(this.random() * alphabet.length)];
+			}
+		} while (this.lobbies.has(code) || this.finishedLobbies.has(code));
+		return code;
+	}
+
+	sendTo(player, type, data) {
+		if (player.connection) {
+			player.connection.deliver({ type, data });
+		}
+	}
+
+	sendError(connection, code, message) {
+		connection.deliver({ type: 'ERROR', data: { code, message } });
+	}
+
+	broadcast(lobby, type, data, exceptUsername = null) {
+		lobby.players.forEach(player => {
+			if (player.username !== exceptUsername) {
+				this.sendTo(player, type, data);
+			}
+		});
+	}
+}
+
+export default MockGameServer;
@@ -0,0 +1,94 @@
+/**
+ * Mock WebSocket for Monopoly Online
+ * Mimics the browser WebSocket API on top of an in-memory MockGameServer so the
+ * client can run full games without a real server (config.server.url = 'mock://local')
+ */
+
+import config from '../config';
+import MockGameServer from './MockGameServer';
+
+// Every socket in the page talks to the same server, so reconnects can resume
+let sharedServer = null;
+
+/**
+ * Get (or lazily create) the shared mock server
+ * @returns {MockGameServer}
+ */
+export const getMockServer = () => {
+	if (!sharedServer) {
+		sharedServer = new MockGameServer({
+			bots: config.mock.bots,
+			botDelay: config.mock.botDelay,
+			seed: config.mock.seed,
+			auctionTime: config.mock.auctionTime
+		});
+	}
+	return sharedServer;
+};
+
+// WebSocket readyState values
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+class MockSocket {
+	/**
+	 * @param {string} url - Ignored; kept for WebSocket API parity
+	 * @param {MockGameServer} [server] - Server to talk to (defaults to the shared one)
+	 */
+	constructor(url, server = getMockServer()) {
+		this.url = url;
+		this.readyState = CONNECTING;
+		this.onopen = null;
+		this.onmessage = null;
+		this.onclose = null;
+		this.onerror = null;
+
+		this.connection = server.connect((message) => {
+			this.later(() => {
+				if (this.readyState === OPEN && this.onmessage) {
+					this.onmessage({ data: JSON.stringify(message) });
+				}
+			});
+		});
+
+		this.later(() => {
+			if (this.readyState !== CONNECTING) return;
+			this.readyState = OPEN;
+			if (this.onopen) this.onopen();
+		});
+	}
+
+	/**
+	 * Send a serialized message to the server
+	 * @param {string} payload - JSON string, as passed to WebSocket.send
+	 */
+	send(payload) {
+		if (this.readyState !== OPEN) {
+			throw new Error('MockSocket is not open');
+		}
+		const message = JSON.parse(payload);
+		this.later(() => this.connection.send(message));
+	}
+
+	/**
+	 * Close the socket
+	 */
+	close() {
+		if (this.readyState === CLOSED) return;
+		this.readyState = CLOSED;
+		this.connection.close();
+		this.later(() => {
+			if (this.onclose) this.onclose({ code: 1000, reason: '' });
+		});
+	}
+
+	/**
+	 * Run a callback after the simulated network latency
+	 */
+	later(callback) {
+		setTimeout(callback, config.mock.latency);
+	}
+}
+
+export default MockSocket;
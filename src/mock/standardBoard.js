@@ -0,0 +1,139 @@
+/**
+ * Standard 40-tile Monopoly board for the mock game server
+ * Tiles follow the server's board format:
+ *   owner-costs[0] = purchase price, owner-costs[n] = cost of reaching level n
+ *   trespass-costs[n] = rent at level n (transport: by number owned, utility: dice multiplier)
+ */
+
+/**
+ * Build a colored property tile
+ */
+const property = (id, name, color, price, house, rents) => ({
+	id,
+	name,
+	type: 'property',
+	color,
+	properties: { purchasable: true, levelable: true },
+	'owner-costs': [price, house, house, house, house, house],
+	'trespass-costs': rents
+});
+
+/**
+ * Build a railroad tile
+ */
+const transport = (id, name) => ({
+	id,
+	name,
+	type: 'transport',
+	color: '',
+	properties: { purchasable: true, levelable: false },
+	'owner-costs': [200],
+	'trespass-costs': [25, 50, 100, 200]
+});
+
+/**
+ * Build a utility tile
+ */
+const utility = (id, name) => ({
+	id,
+	name,
+	type: 'utility',
+	color: '',
+	properties: { purchasable: true, levelable: false },
+	'owner-costs': [150],
+	'trespass-costs': [4, 10]
+});
+
+/**
+ * Build a non-purchasable tile
+ */
+const special = (id, name, type, extra = {}) => ({
+	id,
+	name,
+	type,
+	color: '',
+	properties: { purchasable: false, levelable: false },
+	...extra
+});
+
+export const standardBoard = [
+	special(0, 'GO', 'start'),
+	property(1, 'Mediterranean Avenue', 'brown', 60, 50, [2, 10, 30, 90, 160, 250]),
+	special(2, 'Community Chest', 'community-chest'),
+	property(3, 'Baltic Avenue', 'brown', 60, 50, [4, 20, 60, 180, 320, 450]),
+	special(4, 'Income Tax', 'tax', { tax: 200 }),
+	transport(5, 'Reading Railroad'),
+	property(6, 'Oriental Avenue', 'cyan', 100, 50, [6, 30, 90, 270, 400, 550]),
+	special(7, 'Chance', 'chance'),
+	property(8, 'Vermont Avenue', 'cyan', 100, 50, [6, 30, 90, 270, 400, 550]),
+	property(9, 'Connecticut Avenue', 'cyan', 120, 50, [8, 40, 100, 300, 450, 600]),
+	special(10, 'Jail', 'jail'),
+	property(11, 'St. Charles Place', 'magenta', 140, 100, [10, 50, 150, 450, 625, 750]),
+	utility(12, 'Electric Company'),
+	property(13, 'States Avenue', 'magenta', 140, 100, [10, 50, 150, 450, 625, 750]),
+	property(14, 'Virginia Avenue', 'magenta', 160, 100, [12, 60, 180, 500, 700, 900]),
+	transport(15, 'Pennsylvania Railroad'),
+	property(16, 'St. James Place', 'orange', 180, 100, [14, 70, 200, 550, 750, 950]),
+	special(17, 'Community Chest', 'community-chest'),
+	property(18, 'Tennessee Avenue', 'orange', 180, 100, [14, 70, 200, 550, 750, 950]),
+	property(19, 'New York Avenue', 'orange', 200, 100, [16, 80, 220, 600, 800, 1000]),
+	special(20, 'Free Parking', 'parking'),
+	property(21, 'Kentucky Avenue', 'red', 220, 150, [18, 90, 250, 700, 875, 1050]),
+	special(22, 'Chance', 'chance'),
+	property(23, 'Indiana Avenue', 'red', 220, 150, [18, 90, 250, 700, 875, 1050]),
+	property(24, 'Illinois Avenue', 'red', 240, 150, [20, 100, 300, 750, 925, 1100]),
+	transport(25, 'B. & O. Railroad'),
+	property(26, 'Atlantic Avenue', 'yellow', 260, 150, [22, 110, 330, 800, 975, 1150]),
+	property(27, 'Ventnor Avenue', 'yellow', 260, 150, [22, 110, 330, 800, 975, 1150]),
+	utility(28, 'Water Works'),
+	property(29, 'Marvin Gardens', 'yellow', 280, 150, [24, 120, 360, 850, 1025, 1200]),
+	special(30, 'Go To Jail', 'go-to-jail'),
+	property(31, 'Pacific Avenue', 'green', 300, 200, [26, 130, 390, 900, 1100, 1275]),
+	property(32, 'North Carolina Avenue', 'green', 300, 200, [26, 130, 390, 900, 1100, 1275]),
+	special(33, 'Community Chest', 'community-chest'),
+	property(34, 'Pennsylvania Avenue', 'green', 320, 200, [28, 150, 450, 1000, 1200, 1400]),
+	transport(35, 'Short Line'),
+	special(36, 'Chance', 'chance'),
+	property(37, 'Park Place', 'blue', 350, 200, [35, 175, 500, 1100, 1300, 1500]),
+	special(38, 'Luxury Tax', 'tax', { tax: 100 }),
+	property(39, 'Boardwalk', 'blue', 400, 200, [50, 200, 600, 1400, 1700, 2000])
+];
+
+export const standardPawns = [
+	{ name: 'car', rgb: '(220, 60, 60)' },
+	{ name: 'hat', rgb: '(60, 120, 220)' },
+	{ name: 'dog', rgb: '(60, 180, 90)' },
+	{ name: 'ship', rgb: '(230, 180, 40)' },
+	{ name: 'boot', rgb: '(160, 90, 200)' },
+	{ name: 'iron', rgb: '(240, 130, 40)' },
+	{ name: 'thimble', rgb: '(40, 190, 200)' },
+	{ name: 'wheelbarrow', rgb: '(200, 200, 200)' }
+];
+
+/**
+ * Chance and Community Chest cards
+ * Each card applies one effect: money (+/-), moveTo (tile id), moveBy (spaces),
+ * jailCard (a Get Out of Jail Free card to keep) or goToJail
+ */
+export const cards = {
+	chance: [
+		{ title: 'Chance', message: 'Advance to GO. Collect $200.', moveTo: 0 },
+		{ title: 'Chance', message: 'Bank pays you a dividend of $50.', money: 50 },
+		{ title: 'Chance', message: 'Go back 3 spaces.', moveBy: -3 },
+		{ title: 'Chance', message: 'Pay poor tax of $15.', money: -15 },
+		{ title: 'Chance', message: 'Advance to Illinois Avenue.', moveTo: 24 },
+		{ title: 'Chance', message: 'Your building loan matures. Collect $150.', money: 150 },
+		{ title: 'Chance', message: 'Get Out of Jail Free. This card may be kept until needed.', jailCard: true },
+		{ title: 'Chance', message: 'Go directly to Jail. Do not pass GO.', goToJail: true }
+	],
+	'community-chest': [
+		{ title: 'Community Chest', message: 'Bank error in your favor. Collect $200.', money: 200 },
+		{ title: 'Community Chest', message: "Doctor's fee. Pay $50.", money: -50 },
+		{ title: 'Community Chest', message: 'Income tax refund. Collect $20.', money: 20 },
+		{ title: 'Community Chest', message: 'Pay hospital fees of $100.', money: -100 },
+		{ title: 'Community Chest', message: 'You inherit $100.', money: 100 },
+		{ title: 'Community Chest', message: 'Advance to GO. Collect $200.', moveTo: 0 },
+		{ title: 'Community Chest', message: 'Get Out of Jail Free. This card may be kept until needed.', jailCard: true },
+		{ title: 'Community Chest', message: 'Go directly to Jail. Do not pass GO.', goToJail: true }
+	]
+};
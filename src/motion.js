@@ -0,0 +1,24 @@
+/**
+ * Motion preference for the application
+ * Board animations are skipped when reduced motion is on
+ */
+
+/**
+ * Store the reduced-motion preference
+ * @param {boolean} reduced - Whether animations should be turned off
+ */
+export const storeReducedMotion = (reduced) => {
+	localStorage.setItem('reduced-motion', reduced ? 'true' : 'false');
+};
+
+/**
+ * Get stored reduced-motion preference or fall back to the OS setting
+ * @returns {boolean}
+ */
+export const getStoredReducedMotion = () => {
+	const stored = localStorage.getItem('reduced-motion');
+	if (stored !== null) {
+		return stored === 'true';
+	}
+	return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+};
@@ -0,0 +1,241 @@
+/**
+ * Property rules for Monopoly Online
+ * Client-side copies of the bank rules, used to explain why an action is not
+ * available before the server rejects it. The server stays authoritative
+ */
+
+// Interest charged when lifting a mortgage, as a share of the mortgage value
+export const MORTGAGE_INTEREST = 0.1;
+
+// Level 5 is a hotel; levels 1-4 are houses
+export const MAX_LEVEL = 5;
+
+/**
+ * List tile names for a message
+ * @param {Object[]} tiles - Board tiles
+ * @returns {string}
+ */
+const names = (tiles) => tiles.map(t => t.name).join(', ');
+
+/**
+ * Cash received for mortgaging a property (half its price)
+ * @param {Object} tile - Board tile
+ * @returns {number}
+ */
+export const getMortgageValue = (tile) => Math.floor((tile?.['owner-costs']?.[0] || 0) / 2);
+
+/**
+ * Cost of lifting a mortgage: the mortgage value plus interest
+ * @param {Object} tile - Board tile
+ * @returns {{total: number, interest: number}}
+ */
+export const getUnmortgageCost = (tile) => {
+	const value = getMortgageValue(tile);
+	const interest = Math.ceil(value * MORTGAGE_INTEREST);
+	return { total: value + interest, interest };
+};
+
+/**
+ * Cash received for selling the top building on a property (half what it cost)
+ * @param {Object} tile - Board tile
+ * @param {number} level - Current building level
+ * @returns {number}
+ */
+export const getBuildingSaleValue = (tile, level) => Math.floor((tile?.['owner-costs']?.[level] || 0) / 2);
+
+/**
+ * Cash a property can still raise: every building sold back, then the mortgage
+ * @param {Object} tile - Board tile
+ * @param {{level: number, mortgaged: boolean}} entry - Ownership entry
+ * @returns {number}
+ */
+export const getLiquidationValue = (tile, entry) => {
+	let total = entry.mortgaged ? 0 : getMortgageValue(tile);
+	for (let level = entry.level || 0; level > 0; level--) {
+		total += getBuildingSaleValue(tile, level);
+	}
+	return total;
+};
+
+/**
+ * Get every tile in a tile's color set
+ * @param {Object[]} board - Board tiles
+ * @param {Object} tile - Board tile
+ * @returns {Object[]} - Empty for tiles without a color set
+ */
+export const getColorSet = (board, tile) => {
+	if (!tile || !tile.color || !tile.properties?.levelable) return [];
+	return board.filter(t => t.color === tile.color && t.properties?.levelable);
+};
+
+/**
+ * Check whether a property can be mortgaged
+ * @param {Object[]} board - Board tiles
+ * @param {Object} ownership - tile id -> { owner, level, mortgaged }
+ * @param {Object} tile - Board tile
+ * @param {string} username - Player who wants to mortgage it
+ * @returns {string|null} - Reason it cannot, or null
+ */
+export const getMortgageBlocker = (board, ownership, tile, username) => {
+	const entry = ownership[tile.id];
+	if (!entry || entry.owner !== username) return 'You do not own this property';
+	if (entry.mortgaged) return 'This property is already mortgaged';
+	if (getColorSet(board, tile).some(t => (ownership[t.id]?.level || 0) > 0)) {
+		return 'Sell every building in this color set first';
+	}
+	return null;
+};
+
+/**
+ * Check whether a mortgage can be lifted
+ * @param {Object} ownership - tile id -> { owner, level, mortgaged }
+ * @param {Object} tile - Board tile
+ * @param {number} balance - Local player's cash
+ * @param {string} username - Local player
+ * @returns {string|null} - Reason it cannot, or null
+ */
+export const getUnmortgageBlocker = (ownership, tile, balance, username) => {
+	const entry = ownership[tile.id];
+	if (!entry || entry.owner !== username) return 'You do not own this property';
+	if (!entry.mortgaged) return 'This property is not mortgaged';
+	const { total } = getUnmortgageCost(tile);
+	if (balance < total) return `You need $${total - balance} more`;
+	return null;
+};
+
+/**
+ * Check whether the top building on a property can be sold
+ * Buildings are sold evenly: only from the most built-up properties of the set.
+ * Breaking up a hotel needs four houses from the bank
+ * @param {Object[]} board - Board tiles
+ * @param {Object} ownership - tile id -> { owner, level, mortgaged }
+ * @param {Object} tile - Board tile
+ * @param {string} username - Player who wants to sell
+ * @param {{houses: number, hotels: number}|null} [bankSupply] - Buildings left in the bank, if the server reports them
+ * @returns {string|null} - Reason it cannot, or null
+ */
+export const getSellBlocker = (board, ownership, tile, username, bankSupply = null) => {
+	if (ownership[tile.id]?.owner !== username) return 'You do not own this property';
+	const level = ownership[tile.id]?.level || 0;
+	if (level === 0) return 'There are no buildings to sell';
+
+	const higher = getColorSet(board, tile).filter(t => (ownership[t.id]?.level || 0) > level);
+	if (higher.length > 0) {
+		return `Sell from ${names(higher)} first to keep building even`;
+	}
+	if (level === MAX_LEVEL && bankSupply && bankSupply.houses < MAX_LEVEL - 1) {
+		return `The bank needs ${MAX_LEVEL - 1} houses to break up the hotel`;
+	}
+	return null;
+};
+
+/**
+ * Check whether the local player may build anywhere in a tile's color set
+ * @param {Object[]} board - Board tiles
+ * @param {Object[]} ownedProperties - Local player's properties ({ id, level, mortgaged })
+ * @param {Object} tile - Any tile of the set
+ * @returns {string|null} - Reason they cannot, or null
+ */
+export const getColorSetBlocker = (board, ownedProperties, tile) => {
+	const set = getColorSet(board, tile);
+	const ownedOf = (t) => ownedProperties.find(p => p.id === t.id);
+
+	const missing = set.filter(t => !ownedOf(t));
+	if (missing.length > 0) return `You need ${names(missing)} to complete the set`;
+
+	const mortgaged = set.filter(t => ownedOf(t).mortgaged);
+	if (mortgaged.length > 0) return `Lift the mortgage on ${names(mortgaged)} first`;
+	return null;
+};
+
+/**
+ * Check whether the local player can build the next level on a property
+ * Needs the whole color set, no mortgages in it, even building across it,
+ * a house or hotel left in the bank and enough cash
+ * @param {Object[]} board - Board tiles
+ * @param {Object[]} ownedProperties - Local player's properties ({ id, level, mortgaged })
+ * @param {Object} tile - Board tile
+ * @param {number} balance - Local player's cash
+ * @param {{houses: number, hotels: number}|null} [bankSupply] - Buildings left in the bank, if the server reports them
+ * @returns {string|null} - Reason it cannot, or null
+ */
+export const getUpgradeBlocker = (board, ownedProperties, tile, balance, bankSupply = null) => {
+	if (!tile.properties?.levelable) return 'This property cannot be upgraded';
+
+	const owned = ownedProperties.find(p => p.id === tile.id);
+	if (!owned) return 'You do not own this property';
+	const level = owned.level || 0;
+	if (level >= MAX_LEVEL) return 'This property is fully upgraded';
+
+	const setBlocker = getColorSetBlocker(board, ownedProperties, tile);
+	if (setBlocker) return setBlocker;
+
+	const lower = getColorSet(board, tile).filter(t => (ownedProperties.find(p => p.id === t.id).level || 0) < level);
+	if (lower.length > 0) return `Build on ${names(lower)} first to keep building even`;
+
+	if (bankSupply) {
+		if (level + 1 === MAX_LEVEL && bankSupply.hotels < 1) return 'The bank has no hotels left';
+		if (level + 1 < MAX_LEVEL && bankSupply.houses < 1) return 'The bank has no houses left';
+	}
+
+	const cost = tile['owner-costs'][level + 1];
+	if (balance < cost) return `Insufficient funds (need $${cost - balance} more)`;
+	return null;
+};
+
+/**
+ * Plan the upgrades that take a color set to a target layout
+ * Each step builds on the least built-up property still below its target, so the
+ * set stays even after every step; the bank supply is checked along the way
+ * @param {Object[]} set - Tiles of the color set
+ * @param {Object} levels - tile id -> current level
+ * @param {Object} targets - tile id -> target level
+ * @param {{houses: number, hotels: number}|null} [bankSupply] - Buildings left in the bank, if known
+ * @returns {{steps: {tileId: number, level: number, cost: number}[], cost: number, error: string|null}}
+ */
+export const planBuilding = (set, levels, targets, bankSupply = null) => {
+	const plan = { steps: [], cost: 0, error: null };
+	const wanted = set.map(t => targets[t.id]);
+
+	if (set.some(t => targets[t.id] < (levels[t.id] || 0))) {
+		return { ...plan, error: 'The planner only builds; sell buildings from the property itself' };
+	}
+	if (wanted.some(level => level > MAX_LEVEL)) {
+		return { ...plan, error: 'A property can have at most a hotel' };
+	}
+	if (Math.max(...wanted) - Math.min(...wanted) > 1) {
+		return { ...plan, error: 'Building must stay even: levels in a set may differ by at most one' };
+	}
+
+	const current = {};
+	set.forEach(t => {
+		current[t.id] = levels[t.id] || 0;
+	});
+	const supply = bankSupply ? { ...bankSupply } : null;
+
+	for (;;) {
+		const below = set.filter(t => current[t.id] < targets[t.id]);
+		if (below.length === 0) break;
+
+		const tile = below.reduce((lowest, t) => (current[t.id] < current[lowest.id] ? t : lowest));
+		const level = current[tile.id] + 1;
+		const cost = tile['owner-costs'][level];
+
+		if (supply) {
+			if (level === MAX_LEVEL) {
+				supply.hotels--;
+				supply.houses += MAX_LEVEL - 1;
+			} else {
+				supply.houses--;
+			}
+			if (supply.houses < 0 || supply.hotels < 0) {
+				return { ...plan, error: `The bank does not have enough ${supply.hotels < 0 ? 'hotels' : 'houses'} for this plan` };
+			}
+		}
+
+		current[tile.id] = level;
+		plan.steps.push({ tileId: tile.id, level, cost });
+		plan.cost += cost;
+	}
+	return plan;
+};
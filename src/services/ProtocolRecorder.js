@@ -0,0 +1,112 @@
+/**
+ * Protocol Recorder for Monopoly Online
+ * Captures inbound and outbound messages with timestamps so a session can be
+ * downloaded as JSON and replayed later
+ */
+
+// Recording file format version
+export const RECORDING_VERSION = 1;
+
+// Secret fields, left out at any depth so a shared recording can't be used to take over a seat
+const REDACTED_FIELDS = ['token', 'session-token', 'password'];
+
+/**
+ * Copy a JSON value without its secret fields
+ * @param {*} value - JSON value
+ * @returns {*}
+ */
+const withoutSecrets = (value) => {
+	if (Array.isArray(value)) return value.map(withoutSecrets);
+	if (!value || typeof value !== 'object') return value;
+
+	const copy = {};
+	Object.entries(value).forEach(([key, field]) => {
+		if (!REDACTED_FIELDS.includes(key)) {
+			copy[key] = withoutSecrets(field);
+		}
+	});
+	return copy;
+};
+
+/**
+ * Deep copy message data without its secret fields
+ * @param {*} data - Raw message data
+ * @returns {*}
+ */
+const redact = (data) => (data === undefined ? undefined : withoutSecrets(JSON.parse(JSON.stringify(data))));
+
+class ProtocolRecorder {
+	constructor() {
+		this.isRecording = false;
+		this.startedAt = null;
+		this.messages = [];
+	}
+
+	/**
+	 * Start a new recording, discarding any previous one
+	 */
+	start() {
+		this.isRecording = true;
+		this.startedAt = Date.now();
+		this.messages = [];
+	}
+
+	/**
+	 * Stop recording (the captured messages are kept for download)
+	 */
+	stop() {
+		this.isRecording = false;
+	}
+
+	/**
+	 * Record a message if recording is active
+	 * @param {string} direction - 'in' (server -> client) or 'out' (client -> server)
+	 * @param {string} type - Message type
+	 * @param {*} data - Raw message data
+	 */
+	record(direction, type, data) {
+		if (!this.isRecording) return;
+
+		this.messages.push({
+			t: Date.now() - this.startedAt,
+			direction,
+			type,
+			// Copied so later mutations don't leak into the recording
+			data: redact(data)
+		});
+	}
+
+	/**
+	 * Build the recording document
+	 * @param {Object} meta - Extra details stored with the recording (e.g. username)
+	 * @returns {Object}
+	 */
+	toJSON(meta = {}) {
+		return {
+			version: RECORDING_VERSION,
+			startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+			meta,
+			messages: this.messages
+		};
+	}
+
+	/**
+	 * Download the recording as a JSON file
+	 * @param {Object} meta - Extra details stored with the recording
+	 */
+	download(meta = {}) {
+		const json = JSON.stringify(this.toJSON(meta), null, 2);
+		const blob = new Blob([json], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = `monopoly-session-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		URL.revokeObjectURL(url);
+	}
+}
+
+export default ProtocolRecorder;
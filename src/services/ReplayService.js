@@ -0,0 +1,175 @@
+/**
+ * Replay Service for Monopoly Online
+ * Feeds a recorded session back through WebSocketService.receive() so the same
+ * validation, handlers and store updates run as in a live game, without a server
+ */
+
+import wsService from './WebSocketService';
+import { RECORDING_VERSION } from './ProtocolRecorder';
+
+// Long pauses in the recording (e.g. a player thinking) are shortened to this (ms)
+const MAX_GAP = 2000;
+
+class ReplayService {
+	constructor(service) {
+		this.service = service;
+		this.messages = [];
+		this.meta = {};
+		this.index = 0;
+		this.isPlaying = false;
+		this.speed = 1;
+		this.timer = null;
+		this.listeners = new Set();
+		this.state = this.buildState();
+	}
+
+	/**
+	 * Load a recording and switch the WebSocket service into replay mode
+	 * @param {Object} recording - Parsed recording file
+	 * @throws {Error} - If the recording is not a valid session file
+	 */
+	load(recording) {
+		if (!recording || !Array.isArray(recording.messages)) {
+			throw new Error('Not a recorded session file');
+		}
+		if (recording.version !== RECORDING_VERSION) {
+			throw new Error(`Unsupported recording version: ${recording.version}`);
+		}
+
+		this.pause();
+		// Only server messages are replayed; outbound ones are kept in the file for reference
+		this.messages = recording.messages.filter(message => message.direction === 'in');
+		this.meta = recording.meta || {};
+		this.index = 0;
+		this.service.setReplayMode(true);
+		this.notify();
+	}
+
+	/**
+	 * Start or resume playback
+	 */
+	play() {
+		if (this.isPlaying || this.index >= this.messages.length) return;
+		this.isPlaying = true;
+		this.notify();
+		this.scheduleNext();
+	}
+
+	/**
+	 * Pause playback
+	 */
+	pause() {
+		clearTimeout(this.timer);
+		this.timer = null;
+		if (this.isPlaying) {
+			this.isPlaying = false;
+			this.notify();
+		}
+	}
+
+	/**
+	 * Deliver the next message immediately (pauses playback)
+	 */
+	step() {
+		this.pause();
+		this.deliverNext();
+	}
+
+	/**
+	 * Change playback speed
+	 * @param {number} speed - Multiplier (1 = recorded speed)
+	 */
+	setSpeed(speed) {
+		this.speed = speed;
+		this.notify();
+	}
+
+	/**
+	 * Unload the recording and leave replay mode
+	 */
+	stop() {
+		this.pause();
+		this.messages = [];
+		this.meta = {};
+		this.index = 0;
+		this.service.setReplayMode(false);
+		this.notify();
+	}
+
+	/**
+	 * Deliver the next recorded message through the normal inbound pipeline
+	 */
+	deliverNext() {
+		const message = this.messages[this.index];
+		if (!message) return;
+
+		this.index++;
+		this.service.receive(message.type, message.data);
+
+		if (this.index >= this.messages.length) {
+			this.isPlaying = false;
+		}
+		this.notify();
+	}
+
+	/**
+	 * Schedule the next message using the recorded gap scaled by speed
+	 */
+	scheduleNext() {
+		if (!this.isPlaying || this.index >= this.messages.length) return;
+
+		const previous = this.messages[this.index - 1];
+		const next = this.messages[this.index];
+		const gap = previous ? Math.min(Math.max(next.t - previous.t, 0), MAX_GAP) : 0;
+
+		this.timer = setTimeout(() => {
+			this.deliverNext();
+			this.scheduleNext();
+		}, gap / this.speed);
+	}
+
+	/**
+	 * Build a snapshot of the playback state for the UI
+	 * @returns {{active: boolean, isPlaying: boolean, index: number, total: number, speed: number, meta: Object}}
+	 */
+	buildState() {
+		return {
+			active: this.messages.length > 0,
+			isPlaying: this.isPlaying,
+			index: this.index,
+			total: this.messages.length,
+			speed: this.speed,
+			meta: this.meta
+		};
+	}
+
+	/**
+	 * Get the current playback state
+	 * @returns {Object}
+	 */
+	getState() {
+		return this.state;
+	}
+
+	/**
+	 * Listen for playback state changes
+	 * @param {Function} listener - Called with the new playback state
+	 * @returns {Function} - Unsubscribe function
+	 */
+	onChange(listener) {
+		this.listeners.add(listener);
+		return () => this.listeners.delete(listener);
+	}
+
+	/**
+	 * Rebuild the state snapshot and notify listeners
+	 */
+	notify() {
+		this.state = this.buildState();
+		this.listeners.forEach(listener => listener(this.state));
+	}
+}
+
+// Export singleton instance
+const replayService = new ReplayService(wsService);
+export default replayService;
@@ -1,9 +1,21 @@
 /**
  * WebSocket Service for Monopoly Online
- * Handles all server communication with extensible message handler map
+ * Handles all server communication with a multi-subscriber message event bus
  */
 
 import config from '../config';
+import { getStoredSession, storeSession, clearSession } from './session';
+import { validateInbound, validateOutbound } from './protocol';
+import ProtocolRecorder from './ProtocolRecorder';
+
+// Heartbeat traffic is left out of recordings
+const UNRECORDED_TYPES = ['PING', 'PONG'];
+
+// Listeners registered under this type receive every inbound message
+const WILDCARD = '*';
+
+// Server URLs with this scheme connect to the in-memory mock game server
+const MOCK_SCHEME = 'mock://';
 
 class WebSocketService {
 	constructor() {
@@ -12,6 +24,32 @@ class WebSocketService {
 		this.isConnected = false;
 		this.reconnectAttempts = 0;
 		this.reconnectTimer = null;
+		this.isReconnecting = false;
+		// Outbound messages buffered while reconnecting, flushed in order on reconnect
+		this.outboundQueue = [];
+		this.outboundListeners = new Set();
+		this.nextMessageId = 1;
+		// Heartbeat timers and the connection status shown in the UI
+		this.heartbeatTimer = null;
+		this.heartbeatTimeoutTimer = null;
+		// Servers that never answer PING are not timed out; set by the first PONG on each connection
+		this.heartbeatConfirmed = false;
+		this.connectionListeners = new Set();
+		// Malformed or unknown protocol messages are reported here
+		this.diagnosticListeners = new Set();
+		// Protocol recording and replay (replay feeds recorded messages through receive())
+		this.recorder = new ProtocolRecorder();
+		this.isReplaying = false;
+		if (config.debug.recordOnStart) {
+			this.recorder.start();
+		}
+		this.connectionStatus = {
+			state: 'disconnected', // 'disconnected' | 'connecting' | 'connected' | 'reconnecting' | 'offline'
+			attempt: 0,
+			maxAttempts: config.server.maxReconnectAttempts,
+			latency: null
+		};
+		this.sessionToken = getStoredSession()?.token || null;
 	}
 
 	/**
@@ -19,14 +57,28 @@ class WebSocketService {
 	 * @returns {Promise<void>}
 	 */
 	connect() {
-		return new Promise((resolve, reject) => {
+		if (!this.isReconnecting) {
+			this.setConnectionStatus({ state: 'connecting' });
+		}
+
+		return this.openSocket(config.server.url).then(socket => new Promise((resolve, reject) => {
 			try {
-				this.ws = new WebSocket(config.server.url);
+				this.ws = socket;
 
 				this.ws.onopen = () => {
 					console.log('WebSocket connected');
+					const isReconnect = this.reconnectAttempts > 0;
 					this.isConnected = true;
+					this.isReconnecting = false;
 					this.reconnectAttempts = 0;
+					this.setConnectionStatus({ state: 'connected', attempt: 0, latency: null });
+					this.startHeartbeat();
+
+					// Rejoin the lobby as the same player after a dropped connection
+					if (isReconnect && this.sessionToken) {
+						this.resumeSession();
+					}
+					this.flushOutboundQueue();
 					resolve();
 				};
 
@@ -67,12 +119,26 @@ class WebSocketService {
 				this.ws.onclose = () => {
 					console.log('WebSocket disconnected');
 					this.isConnected = false;
+					this.stopHeartbeat();
 					this.attemptReconnect();
 				};
 			} catch (error) {
 				reject(error);
 			}
-		});
+		}));
+	}
+
+	/**
+	 * Create the socket for a server URL
+	 * The mock server is only loaded for mock:// URLs, so it stays out of the main bundle
+	 * @param {string} url - Server URL
+	 * @returns {Promise<WebSocket|Object>} - WebSocket, or a MockSocket with the same interface
+	 */
+	openSocket(url) {
+		if (url.startsWith(MOCK_SCHEME)) {
+			return import('../mock/MockSocket').then(({ default: MockSocket }) => new MockSocket(url));
+		}
+		return new Promise(resolve => resolve(new WebSocket(url)));
 	}
 
 	/**
@@ -81,77 +147,412 @@ class WebSocketService {
 	attemptReconnect() {
 		if (this.reconnectAttempts >= config.server.maxReconnectAttempts) {
 			console.error('Max reconnection attempts reached');
+			this.isReconnecting = false;
+			this.expireOutboundQueue();
+			this.setConnectionStatus({ state: 'offline' });
 			return;
 		}
 
 		this.reconnectAttempts++;
+		this.isReconnecting = true;
+		this.setConnectionStatus({ state: 'reconnecting', attempt: this.reconnectAttempts, latency: null });
 		console.log(`Reconnecting... Attempt ${this.reconnectAttempts}`);
 
 		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = null;
 			this.connect().catch(err => {
 				console.error('Reconnection failed:', err);
 			});
 		}, config.server.reconnectInterval);
 	}
 
+	/**
+	 * Manually retry after automatic reconnection gave up
+	 * Resumes the stored session once the connection is back
+	 * @returns {Promise<void>}
+	 */
+	retry() {
+		if (this.reconnectTimer) {
+			clearTimeout(this.reconnectTimer);
+			this.reconnectTimer = null;
+		}
+		this.reconnectAttempts = 0;
+		this.isReconnecting = false;
+
+		return this.connect().then(() => {
+			this.resumeSession();
+		});
+	}
+
+	/**
+	 * Start sending PING messages and watching for PONG replies
+	 * Once the server has answered a PING, a missing PONG means the connection is
+	 * half-open, so it is dropped and reconnected. Called for every new socket
+	 */
+	startHeartbeat() {
+		this.stopHeartbeat();
+		this.heartbeatConfirmed = false;
+
+		this.heartbeatTimer = setInterval(() => {
+			if (this.heartbeatTimeoutTimer) return; // Still waiting for the previous PONG
+			if (!this.sendPing()) return;
+
+			if (this.heartbeatConfirmed) {
+				this.heartbeatTimeoutTimer = setTimeout(() => {
+					console.warn('Heartbeat timed out, dropping connection');
+					this.dropConnection();
+				}, config.server.heartbeatTimeout);
+			}
+		}, config.server.heartbeatInterval);
+	}
+
+	/**
+	 * Write a PING straight to the socket
+	 * Heartbeats skip send() so they are never queued, recorded or given a delivery status
+	 * @returns {boolean} - Success status
+	 */
+	sendPing() {
+		if (!this.isConnected || !this.ws) return false;
+
+		try {
+			this.ws.send(JSON.stringify({ type: 'PING', data: { timestamp: Date.now() } }));
+			return true;
+		} catch (error) {
+			console.error('Error sending heartbeat:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Stop the heartbeat timers
+	 */
+	stopHeartbeat() {
+		clearInterval(this.heartbeatTimer);
+		clearTimeout(this.heartbeatTimeoutTimer);
+		this.heartbeatTimer = null;
+		this.heartbeatTimeoutTimer = null;
+	}
+
+	/**
+	 * Handle a PONG reply and record the round-trip latency
+	 * @param {Object} data - PONG data echoing the PING timestamp
+	 */
+	handlePong(data) {
+		clearTimeout(this.heartbeatTimeoutTimer);
+		this.heartbeatTimeoutTimer = null;
+		this.heartbeatConfirmed = true;
+
+		if (typeof data?.timestamp === 'number') {
+			this.setConnectionStatus({ latency: Date.now() - data.timestamp });
+		}
+	}
+
+	/**
+	 * Abandon a dead socket without waiting for its close handshake, then reconnect
+	 */
+	dropConnection() {
+		this.stopHeartbeat();
+
+		if (this.ws) {
+			this.ws.onclose = null;
+			this.ws.close();
+			this.ws = null;
+		}
+
+		this.isConnected = false;
+		this.attemptReconnect();
+	}
+
+	/**
+	 * Update the connection status and notify listeners
+	 * @param {Object} changes - Status fields to change
+	 */
+	setConnectionStatus(changes) {
+		this.connectionStatus = { ...this.connectionStatus, ...changes };
+		this.notifyListeners(this.connectionListeners, this.connectionStatus);
+	}
+
+	/**
+	 * Get the current connection status
+	 * @returns {{state: string, attempt: number, maxAttempts: number, latency: number|null}}
+	 */
+	getConnectionStatus() {
+		return this.connectionStatus;
+	}
+
+	/**
+	 * Listen for connection status changes
+	 * @param {Function} listener - Called with the new connection status
+	 * @returns {Function} - Unsubscribe function
+	 */
+	onConnectionStatus(listener) {
+		this.connectionListeners.add(listener);
+		return () => this.connectionListeners.delete(listener);
+	}
+
+	/**
+	 * Call every listener in a set, isolating errors
+	 * @param {Set<Function>} listeners - Listeners to call
+	 * @param {Object} payload - Value passed to each listener
+	 */
+	notifyListeners(listeners, payload) {
+		listeners.forEach(listener => {
+			try {
+				listener(payload);
+			} catch (error) {
+				console.error('Error in status listener:', error);
+			}
+		});
+	}
+
 	/**
 	 * Handle incoming WebSocket message
 	 * @param {string} data - Raw message data
 	 */
 	handleMessage(data) {
+		let message;
 		try {
-			const message = JSON.parse(data);
-			const messageType = message.type;
-
-			if (this.messageHandlers.has(messageType)) {
-				const handler = this.messageHandlers.get(messageType);
-				handler(message.data || message);
-			} else {
-				console.warn(`No handler registered for message type: ${messageType}`);
-			}
+			message = JSON.parse(data);
 		} catch (error) {
 			console.error('Error parsing message:', error);
+			return;
+		}
+
+		const payload = message.data !== undefined ? message.data : message;
+		if (!UNRECORDED_TYPES.includes(message.type)) {
+			this.recorder.record('in', message.type, payload);
+		}
+		this.receive(message.type, payload);
+	}
+
+	/**
+	 * Validate and normalize an inbound message, then deliver it to listeners
+	 * Malformed messages are reported as diagnostics and never reach the handlers
+	 * @param {string} messageType - Message type
+	 * @param {*} data - Raw message data
+	 */
+	receive(messageType, data) {
+		// Heartbeat replies are handled by the service itself
+		if (messageType === 'PONG') {
+			this.handlePong(data);
+			return;
+		}
+
+		const result = validateInbound(messageType, data);
+		if (!result.known) {
+			this.reportDiagnostic('inbound', messageType, ['unknown message type'], data, 'warning');
+		} else if (!result.valid) {
+			this.reportDiagnostic('inbound', messageType, result.errors, data, 'error');
+			return;
+		}
+
+		this.dispatch(messageType, result.data);
+	}
+
+	/**
+	 * Report a protocol problem to diagnostic listeners
+	 * @param {string} direction - 'inbound' or 'outbound'
+	 * @param {string} messageType - Message type
+	 * @param {string[]} errors - Problems found
+	 * @param {*} data - Offending payload
+	 * @param {string} severity - 'warning' or 'error'
+	 */
+	reportDiagnostic(direction, messageType, errors, data, severity) {
+		const diagnostic = { direction, type: messageType, errors, data, severity, timestamp: Date.now() };
+		const log = severity === 'error' ? console.error : console.warn;
+		log(`Protocol ${severity} (${direction} ${messageType}): ${errors.join('; ')}`, data);
+		this.notifyListeners(this.diagnosticListeners, diagnostic);
+	}
+
+	/**
+	 * Listen for protocol diagnostics (malformed, unknown or rejected messages)
+	 * @param {Function} listener - Called with { direction, type, errors, data, severity, timestamp }
+	 * @returns {Function} - Unsubscribe function
+	 */
+	onDiagnostic(listener) {
+		this.diagnosticListeners.add(listener);
+		return () => this.diagnosticListeners.delete(listener);
+	}
+
+	/**
+	 * Deliver a message to every listener of its type, then to wildcard listeners
+	 * Each listener runs in isolation so one throwing handler doesn't break the others
+	 * @param {string} messageType - Message type
+	 * @param {Object} data - Message data
+	 */
+	dispatch(messageType, data) {
+		const listeners = this.messageHandlers.get(messageType);
+		const wildcardListeners = this.messageHandlers.get(WILDCARD);
+
+		if (!listeners && !wildcardListeners) {
+			console.warn(`No handler registered for message type: ${messageType}`);
+			return;
 		}
+
+		this.invokeListeners(listeners, messageType, data);
+		this.invokeListeners(wildcardListeners, messageType, data);
+	}
+
+	/**
+	 * Invoke a set of listeners, dropping one-shot listeners before they run
+	 * @param {Set<Object>|undefined} listeners - Listener entries
+	 * @param {string} messageType - Message type
+	 * @param {Object} data - Message data
+	 */
+	invokeListeners(listeners, messageType, data) {
+		if (!listeners) return;
+
+		// Copy so listeners can unsubscribe (or subscribe) while being invoked
+		[...listeners].forEach(entry => {
+			if (entry.once) {
+				this.removeEntry(entry);
+			}
+			try {
+				entry.handler(data, messageType);
+			} catch (error) {
+				console.error(`Error in ${messageType} handler:`, error);
+			}
+		});
 	}
 
 	/**
 	 * Register a message handler for a specific message type
+	 * Use '*' to receive every message; wildcard handlers get (data, messageType)
 	 * @param {string} messageType - Message type to handle
 	 * @param {Function} handler - Handler function to execute
+	 * @returns {Function} - Unsubscribe function
 	 */
 	on(messageType, handler) {
+		return this.addEntry(messageType, handler, false);
+	}
+
+	/**
+	 * Register a handler that runs for the next message of a type only
+	 * @param {string} messageType - Message type to handle
+	 * @param {Function} handler - Handler function to execute
+	 * @returns {Function} - Unsubscribe function
+	 */
+	once(messageType, handler) {
+		return this.addEntry(messageType, handler, true);
+	}
+
+	/**
+	 * Unregister a message handler
+	 * Only the given handler is removed; other listeners of the type keep running
+	 * @param {string} messageType - Message type
+	 * @param {Function} handler - Handler passed to on() or once()
+	 */
+	off(messageType, handler) {
+		const listeners = this.messageHandlers.get(messageType);
+		if (!listeners) return;
+
+		listeners.forEach(entry => {
+			if (entry.handler === handler) {
+				this.removeEntry(entry);
+			}
+		});
+	}
+
+	/**
+	 * Unregister every message handler, e.g. when the app is torn down
+	 */
+	removeAllListeners() {
+		this.messageHandlers.clear();
+	}
+
+	/**
+	 * Add a listener entry for a message type
+	 * @param {string} messageType - Message type
+	 * @param {Function} handler - Handler function
+	 * @param {boolean} once - Remove after the first invocation
+	 * @returns {Function} - Unsubscribe function
+	 */
+	addEntry(messageType, handler, once) {
 		if (typeof handler !== 'function') {
 			throw new Error('Handler must be a function');
 		}
-		this.messageHandlers.set(messageType, handler);
+
+		if (!this.messageHandlers.has(messageType)) {
+			this.messageHandlers.set(messageType, new Set());
+		}
+
+		const entry = { messageType, handler, once };
+		this.messageHandlers.get(messageType).add(entry);
+
+		return () => this.removeEntry(entry);
 	}
 
 	/**
-	 * Unregister a message handler
-	 * @param {string} messageType - Message type to remove
+	 * Remove a listener entry, dropping the type once it has no listeners
+	 * @param {Object} entry - Listener entry created by addEntry()
 	 */
-	off(messageType) {
-		this.messageHandlers.delete(messageType);
+	removeEntry(entry) {
+		const listeners = this.messageHandlers.get(entry.messageType);
+		if (!listeners) return;
+
+		listeners.delete(entry);
+		if (listeners.size === 0) {
+			this.messageHandlers.delete(entry.messageType);
+		}
 	}
 
 	/**
 	 * Send a message to the server
+	 * While reconnecting the message is queued and delivered once the connection is back
 	 * @param {string} type - Message type
 	 * @param {Object} data - Message data
-	 * @returns {boolean} - Success status
+	 * @returns {number|boolean} - Message id if sent or queued, false otherwise
 	 */
 	send(type, data = {}) {
-		if (!this.isConnected || !this.ws) {
-			console.error('WebSocket is not connected');
+		if (this.isReplaying) {
+			console.info(`Replay mode: ${type} not sent`);
+			return false;
+		}
+
+		const result = validateOutbound(type, data);
+		if (!result.valid) {
+			this.reportDiagnostic('outbound', type, result.errors, data, 'error');
 			return false;
 		}
 
+		const entry = {
+			id: this.nextMessageId++,
+			type,
+			data: result.data,
+			status: null,
+			createdAt: Date.now(),
+			expiryTimer: null
+		};
+
+		if (this.isConnected && this.ws) {
+			return this.transmit(entry) ? entry.id : false;
+		}
+
+		if (this.isReconnecting) {
+			this.enqueue(entry);
+			return entry.id;
+		}
+
+		console.error('WebSocket is not connected');
+		return false;
+	}
+
+	/**
+	 * Write a message entry to the socket
+	 * @param {Object} entry - Outbound message entry
+	 * @returns {boolean} - Success status
+	 */
+	transmit(entry) {
 		try {
 			const message = {
-				type,
-				data
+				type: entry.type,
+				data: entry.data
 			};
 			this.ws.send(JSON.stringify(message));
+			if (!UNRECORDED_TYPES.includes(entry.type)) {
+				this.recorder.record('out', entry.type, entry.data);
+			}
+			this.setOutboundStatus(entry, 'sent');
 			return true;
 		} catch (error) {
 			console.error('Error sending message:', error);
@@ -159,6 +560,148 @@ class WebSocketService {
 		}
 	}
 
+	/**
+	 * Buffer a message until the connection is restored or its TTL runs out
+	 * @param {Object} entry - Outbound message entry
+	 */
+	enqueue(entry) {
+		this.outboundQueue.push(entry);
+		entry.expiryTimer = setTimeout(() => {
+			this.outboundQueue = this.outboundQueue.filter(queued => queued !== entry);
+			this.setOutboundStatus(entry, 'expired');
+		}, config.server.outboundQueueTTL);
+		this.setOutboundStatus(entry, 'queued');
+	}
+
+	/**
+	 * Send all queued messages in the order they were queued
+	 */
+	flushOutboundQueue() {
+		const queue = this.outboundQueue;
+		this.outboundQueue = [];
+
+		queue.forEach(entry => {
+			clearTimeout(entry.expiryTimer);
+			if (!this.transmit(entry)) {
+				this.setOutboundStatus(entry, 'expired');
+			}
+		});
+	}
+
+	/**
+	 * Drop every queued message, marking it expired
+	 */
+	expireOutboundQueue() {
+		const queue = this.outboundQueue;
+		this.outboundQueue = [];
+
+		queue.forEach(entry => {
+			clearTimeout(entry.expiryTimer);
+			this.setOutboundStatus(entry, 'expired');
+		});
+	}
+
+	/**
+	 * Update the delivery status of an outbound message and notify listeners
+	 * @param {Object} entry - Outbound message entry
+	 * @param {string} status - 'queued', 'sent' or 'expired'
+	 */
+	setOutboundStatus(entry, status) {
+		entry.status = status;
+		this.notifyListeners(this.outboundListeners, { id: entry.id, type: entry.type, status });
+	}
+
+	/**
+	 * Listen for outbound message status changes
+	 * @param {Function} listener - Called with { id, type, status }
+	 * @returns {Function} - Unsubscribe function
+	 */
+	onOutboundStatus(listener) {
+		this.outboundListeners.add(listener);
+		return () => this.outboundListeners.delete(listener);
+	}
+
+	/**
+	 * Start recording every inbound and outbound message
+	 */
+	startRecording() {
+		this.recorder.start();
+	}
+
+	/**
+	 * Stop recording (the recording is kept until the next start)
+	 */
+	stopRecording() {
+		this.recorder.stop();
+	}
+
+	/**
+	 * Check whether a recording is in progress
+	 * @returns {boolean}
+	 */
+	isRecording() {
+		return this.recorder.isRecording;
+	}
+
+	/**
+	 * Download the current recording as a JSON file
+	 * @param {Object} meta - Extra details stored with the recording (e.g. username)
+	 */
+	downloadRecording(meta = {}) {
+		this.recorder.download(meta);
+	}
+
+	/**
+	 * Enter or leave replay mode
+	 * While replaying nothing is sent to the server
+	 * @param {boolean} enabled - Replay mode flag
+	 */
+	setReplayMode(enabled) {
+		this.isReplaying = enabled;
+	}
+
+	/**
+	 * Remember the session token issued by the server
+	 * @param {string} token - Session token from NEW_GAME / JOIN_GAME
+	 * @param {Object} details - Extra session details (username, isHost)
+	 */
+	setSession(token, details = {}) {
+		// Recorded sessions must not overwrite the real one
+		if (this.isReplaying) return;
+
+		this.sessionToken = token;
+		storeSession({ ...details, token });
+	}
+
+	/**
+	 * Forget the current session token
+	 */
+	clearSession() {
+		this.sessionToken = null;
+		clearSession();
+	}
+
+	/**
+	 * Check whether a session token is available for resuming
+	 * @returns {boolean}
+	 */
+	hasSession() {
+		return Boolean(this.sessionToken);
+	}
+
+	/**
+	 * Send REQUEST_RESUME message
+	 * The server answers with RESUME_GAME (full state resync) or RESUME_FAILED
+	 */
+	resumeSession() {
+		if (!this.sessionToken) {
+			return false;
+		}
+		return this.send('REQUEST_RESUME', {
+			token: this.sessionToken
+		});
+	}
+
 	/**
 	 * Send REQUEST_JOIN message
 	 * @param {string} username - Player username
@@ -181,6 +724,34 @@ class WebSocketService {
 		});
 	}
 
+	/**
+	 * Send PLAY_AGAIN message
+	 * @param {string} username - Player username
+	 * @param {string} lobbyCode - Lobby of the finished game
+	 */
+	playAgain(username, lobbyCode) {
+		return this.send('PLAY_AGAIN', {
+			username,
+			lobby: lobbyCode
+		});
+	}
+
+	/**
+	 * Send PICK_PAWN message
+	 * @param {string} pawn - Name of a pawn from the lobby's pawns list
+	 */
+	pickPawn(pawn) {
+		return this.send('PICK_PAWN', { pawn });
+	}
+
+	/**
+	 * Send SET_READY message
+	 * @param {boolean} ready - Whether the local player is ready to start
+	 */
+	setReady(ready) {
+		return this.send('SET_READY', { ready });
+	}
+
 	/**
 	 * Send GAME_START message
 	 */
@@ -215,6 +786,34 @@ class WebSocketService {
 		});
 	}
 
+	/**
+	 * Send PAY_JAIL_FINE message (leave jail before rolling)
+	 */
+	payJailFine() {
+		return this.send('PAY_JAIL_FINE', {});
+	}
+
+	/**
+	 * Send USE_JAIL_CARD message (leave jail with a Get Out of Jail Free card)
+	 */
+	useJailCard() {
+		return this.send('USE_JAIL_CARD', {});
+	}
+
+	/**
+	 * Send PAY_DEBT message (pay the creditor once enough cash is raised)
+	 */
+	payDebt() {
+		return this.send('PAY_DEBT', {});
+	}
+
+	/**
+	 * Send DECLARE_BANKRUPTCY message (give up; assets go to the creditor)
+	 */
+	declareBankruptcy() {
+		return this.send('DECLARE_BANKRUPTCY', {});
+	}
+
 	/**
 	 * Send REQUEST_UPGRADE message
 	 * @param {number} propertyId - Property ID to upgrade
@@ -227,6 +826,99 @@ class WebSocketService {
 		});
 	}
 
+	/**
+	 * Send REQUEST_SELL_BUILDING message
+	 * @param {number} propertyId - Property to sell one building from
+	 */
+	requestSellBuilding(propertyId) {
+		return this.send('REQUEST_SELL_BUILDING', {
+			property: {
+				id: propertyId
+			}
+		});
+	}
+
+	/**
+	 * Send REQUEST_MORTGAGE message
+	 * @param {number} propertyId - Property to mortgage
+	 */
+	requestMortgage(propertyId) {
+		return this.send('REQUEST_MORTGAGE', {
+			property: {
+				id: propertyId
+			}
+		});
+	}
+
+	/**
+	 * Send REQUEST_UNMORTGAGE message
+	 * @param {number} propertyId - Property to lift the mortgage from
+	 */
+	requestUnmortgage(propertyId) {
+		return this.send('REQUEST_UNMORTGAGE', {
+			property: {
+				id: propertyId
+			}
+		});
+	}
+
+	/**
+	 * Send TRADE_OFFER message
+	 * @param {string} to - Player the offer is for
+	 * @param {{properties: number[], cash: number}} offer - What the local player gives
+	 * @param {{properties: number[], cash: number}} request - What the local player wants
+	 * @param {string|number} [counterOf] - Id of the offer this counters
+	 */
+	offerTrade(to, offer, request, counterOf) {
+		const data = { to, offer, request };
+		if (counterOf !== undefined && counterOf !== null) {
+			data['counter-of'] = counterOf;
+		}
+		return this.send('TRADE_OFFER', data);
+	}
+
+	/**
+	 * Send TRADE_RESPONSE message
+	 * @param {string|number} id - Trade id
+	 * @param {string} action - 'accept' or 'reject'
+	 */
+	respondToTrade(id, action) {
+		return this.send('TRADE_RESPONSE', { id, action });
+	}
+
+	/**
+	 * Send TRADE_CANCEL message
+	 * @param {string|number} id - Trade id
+	 */
+	cancelTrade(id) {
+		return this.send('TRADE_CANCEL', { id });
+	}
+
+	/**
+	 * Send AUCTION_BID message
+	 * @param {string|number} id - Auction id
+	 * @param {number} amount - Bid; must beat the current high bid
+	 */
+	placeBid(id, amount) {
+		return this.send('AUCTION_BID', { id, amount });
+	}
+
+	/**
+	 * Send a chat message to the lobby
+	 * @param {string} text - Message text
+	 */
+	sendChat(text) {
+		return this.send('CHAT_MESSAGE', { text });
+	}
+
+	/**
+	 * Send a quick reaction to the lobby
+	 * @param {string} emote - Emoji from the quick emote bar
+	 */
+	sendEmote(emote) {
+		return this.send('CHAT_MESSAGE', { text: emote, emote: true });
+	}
+
 	/**
 	 * Send GAME_END message
 	 */
@@ -236,19 +928,29 @@ class WebSocketService {
 
 	/**
 	 * Disconnect from server
+	 * Message handlers are kept so they work again after the next connect();
+	 * callers unsubscribe their own, or use removeAllListeners() to drop them all
 	 */
 	disconnect() {
 		if (this.reconnectTimer) {
 			clearTimeout(this.reconnectTimer);
+			this.reconnectTimer = null;
 		}
 
+		this.stopHeartbeat();
+
 		if (this.ws) {
+			// Detach the close handler so a manual disconnect doesn't trigger a reconnect
+			this.ws.onclose = null;
 			this.ws.close();
 			this.ws = null;
 		}
 
 		this.isConnected = false;
-		this.messageHandlers.clear();
+		this.isReconnecting = false;
+		this.reconnectAttempts = 0;
+		this.expireOutboundQueue();
+		this.setConnectionStatus({ state: 'disconnected', attempt: 0, latency: null });
 	}
 }
 
@@ -0,0 +1,84 @@
+/**
+ * Build plan runner for Monopoly Online
+ * Sends the upgrades of a building plan one at a time, waiting for the server
+ * to confirm each before sending the next, and stops at the first rejection
+ */
+
+import wsService from './WebSocketService';
+
+// How long to wait for the server to answer one upgrade (ms)
+const STEP_TIMEOUT = 10000;
+
+// ERROR codes known to answer other requests (chat, trades, bids, turn actions); any other
+// ERROR while an upgrade is outstanding is taken as its rejection
+const UNRELATED_ERROR_CODES = [
+	'EMPTY_MESSAGE',
+	'MESSAGE_TOO_LONG',
+	'TRADE_REJECTED',
+	'TRADE_NOT_FOUND',
+	'BID_REJECTED',
+	'ALREADY_ROLLED',
+	'NOT_ROLLED',
+	'NO_CHOICE',
+	'NO_JAIL_CARD',
+	'NOT_IN_JAIL'
+];
+
+/**
+ * Request one upgrade and wait for the server's answer
+ * @param {{tileId: number, level: number}} step - Upgrade to make
+ * @param {number} timeout - How long to wait (ms)
+ * @returns {Promise<string|null>} - Why the step failed, or null once the upgrade is confirmed
+ */
+const runStep = (step, timeout) => new Promise((resolve) => {
+	let unsubscribers = [];
+	let timer = null;
+
+	const finish = (error) => {
+		unsubscribers.forEach(unsubscribe => unsubscribe());
+		clearTimeout(timer);
+		resolve(error);
+	};
+
+	unsubscribers = [
+		wsService.on('PROPERTY_UPGRADE', (data) => {
+			if (data.property.id === step.tileId && data.property.level >= step.level) {
+				finish(null);
+			}
+		}),
+		wsService.on('ERROR', (data) => {
+			if (!UNRELATED_ERROR_CODES.includes(data.code)) {
+				finish(data.message || 'The server rejected the upgrade');
+			}
+		})
+	];
+	timer = setTimeout(() => finish('The server did not answer in time'), timeout);
+
+	if (!wsService.requestUpgrade(step.tileId)) {
+		finish('The upgrade request could not be sent');
+	}
+});
+
+/**
+ * Send every upgrade of a plan in order
+ * @param {{tileId: number, level: number}[]} steps - Steps from planBuilding()
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - (completed, total) => void, called after each confirmed step
+ * @param {Function} [options.isCancelled] - () => boolean, checked before each step
+ * @param {number} [options.timeout] - How long to wait for each step (ms)
+ * @returns {Promise<{completed: number, error: string|null}>} - Steps done, and why the plan stopped early
+ */
+export const runBuildPlan = async (steps, { onProgress, isCancelled = () => false, timeout = STEP_TIMEOUT } = {}) => {
+	for (let i = 0; i < steps.length; i++) {
+		if (isCancelled()) {
+			return { completed: i, error: 'Cancelled' };
+		}
+
+		const error = await runStep(steps[i], timeout);
+		if (error) {
+			return { completed: i, error };
+		}
+		onProgress?.(i + 1, steps.length);
+	}
+	return { completed: steps.length, error: null };
+};
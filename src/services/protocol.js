@@ -0,0 +1,403 @@
+/**
+ * Protocol schema registry for Monopoly Online
+ * Declares the shape of every inbound and outbound message type, maps legacy
+ * payload shapes to canonical ones and validates the result
+ *
+ * Field specs are type names ('string', 'number', 'boolean', 'object', 'array', 'any');
+ * a trailing '?' marks the field as optional
+ */
+
+/**
+ * Unwrap payloads the server sometimes nests one level deeper under `data`
+ * @param {*} data - Raw payload
+ * @returns {*} - Unwrapped payload
+ */
+const unwrap = (data) => (
+	data && typeof data === 'object' && !Array.isArray(data) && data.data !== undefined ? data.data : data
+);
+
+/**
+ * Fill in empty arrays for optional list fields
+ * @param {Object} data - Payload
+ * @param {string[]} keys - List field names
+ * @returns {Object} - Payload with defaults applied
+ */
+const withLists = (data, keys) => {
+	const result = { ...data };
+	keys.forEach(key => {
+		if (result[key] === undefined || result[key] === null) {
+			result[key] = [];
+		}
+	});
+	return result;
+};
+
+/**
+ * Turn a numeric lobby code into the string the client uses everywhere
+ * @param {Object} data - Payload with an optional `lobby-code`
+ * @returns {Object}
+ */
+const withLobbyCode = (data) => (
+	typeof data['lobby-code'] === 'number' ? { ...data, 'lobby-code': String(data['lobby-code']) } : data
+);
+
+/**
+ * Fill in defaults for one side of a trade ({ properties: [tile ids], cash })
+ * @param {Object} side - Trade side
+ * @returns {Object}
+ */
+const tradeSide = (side) => ({
+	properties: Array.isArray(side?.properties) ? side.properties : [],
+	cash: typeof side?.cash === 'number' ? side.cash : 0
+});
+
+/**
+ * Inbound (server -> client) message schemas
+ */
+export const inboundSchemas = {
+	ERROR: {
+		fields: { code: 'any?', message: 'string?' }
+	},
+	NEW_GAME: {
+		fields: { 'lobby-code': 'string', board: 'array', pawns: 'array', 'session-token': 'string?' },
+		// The lobby code may come as a number
+		normalize: (data) => withLobbyCode(withLists(data, ['board', 'pawns']))
+	},
+	JOIN_GAME: {
+		fields: { board: 'array', players: 'array', pawns: 'array', 'lobby-code': 'string?', 'session-token': 'string?' },
+		normalize: (data) => withLobbyCode(withLists(data, ['board', 'players', 'pawns']))
+	},
+	RESUME_GAME: {
+		fields: {
+			username: 'string?',
+			host: 'string?',
+			'lobby-code': 'string?',
+			board: 'array',
+			players: 'array',
+			pawns: 'array',
+			positions: 'object?',
+			'current-turn': 'string?',
+			balance: 'number',
+			eliminated: 'array',
+			'owned-properties': 'array',
+			// Every owned tile: [{ id, owner, level, mortgaged? }]
+			ownership: 'array',
+			// Running auction, in the shape of AUCTION_START plus the high bid (high-bid, high-bidder)
+			auction: 'object?',
+			// Houses and hotels left in the bank, when the server limits them
+			'bank-supply': 'object?',
+			// Local player's unpaid debt, in the shape of DEBT
+			debt: 'object?'
+		},
+		normalize: (data) => withLobbyCode({
+			balance: 0,
+			...withLists(data, ['board', 'players', 'pawns', 'owned-properties', 'ownership', 'eliminated'])
+		})
+	},
+	RESUME_FAILED: {
+		fields: { reason: 'string?' }
+	},
+	NEW_PLAYER: {
+		fields: { player: 'object' },
+		// Legacy: the player object was sent without a wrapper
+		normalize: (data) => (data && data.player === undefined && data.username ? { player: data } : data)
+	},
+	PLAYER_UPDATE: {
+		// A player picked a pawn or changed their ready status in the lobby
+		fields: { player: 'string', pawn: 'string?', ready: 'boolean?' }
+	},
+	GAME_START: {
+		fields: {}
+	},
+	NEXT_TURN: {
+		fields: { player: 'string' }
+	},
+	PLAYER_DATA: {
+		fields: { balance: 'number', 'owned-properties': 'array', player: 'string?' },
+		normalize: (data) => withLists(data, ['owned-properties'])
+	},
+	CHOICE: {
+		fields: { title: 'string', options: 'array' },
+		// Legacy: upper-case OPTIONS key and plain string options
+		normalize: (data) => {
+			const payload = data || {};
+			const options = payload.options || payload.OPTIONS || [];
+			return {
+				title: payload.title || 'Choose an option',
+				options: options.map(opt => (typeof opt === 'string' ? { label: opt } : opt))
+			};
+		}
+	},
+	TILE_MESSAGE: {
+		fields: { title: 'string', message: 'string' },
+		normalize: (data) => {
+			const msg = unwrap(data) || {};
+			return { title: msg.title || 'Message', message: msg.message || '' };
+		}
+	},
+	TRANSACTION: {
+		fields: { 'balance-change': 'number', 'balance-sync': 'number', player: 'string?' }
+	},
+	PROPERTY_TRANSFER: {
+		fields: { property: 'object', player: 'string?' }
+	},
+	DICE_ROLL: {
+		fields: { player: 'string?', dice: 'array' }
+	},
+	SET_POSITION: {
+		// jailed: the player was sent to jail, not just visiting
+		fields: { player: 'string?', position: 'number', jailed: 'boolean?' },
+		// Legacy: a bare position number for the local player, or nested under `data`
+		normalize: (data) => {
+			const positionData = unwrap(data);
+			if (typeof positionData === 'number') {
+				return { player: null, position: positionData };
+			}
+			return positionData;
+		}
+	},
+	PROPERTY_UPGRADE: {
+		fields: { property: 'object', player: 'string?' },
+		// Legacy: flat { id, level } without the property wrapper
+		normalize: (data) => (data && data.property === undefined && data.id !== undefined ? { property: data } : data)
+	},
+	PROPERTY_DOWNGRADE: {
+		// A building was sold back to the bank; property: { id, level } with the new level
+		fields: { property: 'object', player: 'string?' }
+	},
+	PROPERTY_MORTGAGE: {
+		// property: { id, mortgaged }
+		fields: { property: 'object', player: 'string?' }
+	},
+	BANK_SUPPLY: {
+		// Houses and hotels left in the bank; sent by servers that limit them
+		fields: { houses: 'number', hotels: 'number' }
+	},
+	JAIL_STATUS: {
+		// A player's jail state changed: locked up, a failed roll (turns-left), released,
+		// or a Get Out of Jail Free card drawn or used (cards)
+		fields: { player: 'string?', jailed: 'boolean', 'turns-left': 'number?', cards: 'number?', fine: 'number?' }
+	},
+	DEBT: {
+		// A player cannot cover a payment; they owe amount to creditor (the bank when missing)
+		// until they raise the cash and pay, or go bankrupt
+		fields: { player: 'string?', amount: 'number', creditor: 'string?' }
+	},
+	DEBT_SETTLED: {
+		fields: { player: 'string?' }
+	},
+	PLAYER_ELIMINATED: {
+		// creditor: the player who receives the bankrupt player's assets (the bank when missing)
+		fields: { player: 'string', reason: 'string?', creditor: 'string?' }
+	},
+	TRADE_OFFER: {
+		fields: {
+			id: 'any',
+			from: 'string',
+			to: 'string',
+			offer: 'object',
+			request: 'object',
+			'expires-at': 'number?',
+			'counter-of': 'any?'
+		},
+		normalize: (data) => ({ ...data, offer: tradeSide(data.offer), request: tradeSide(data.request) })
+	},
+	TRADE_UPDATE: {
+		// status: 'accepted' | 'rejected' | 'cancelled' | 'countered' | 'expired'
+		fields: { id: 'any', status: 'string', reason: 'string?' }
+	},
+	AUCTION_START: {
+		// property: { id, name, ... } of the tile on sale; min-bid: lowest acceptable opening bid
+		fields: { id: 'any', property: 'object', 'min-bid': 'number', 'ends-at': 'number' }
+	},
+	AUCTION_BID: {
+		// A new high bid; ends-at is the (possibly extended) closing time
+		fields: { id: 'any', player: 'string', amount: 'number', 'ends-at': 'number' }
+	},
+	AUCTION_END: {
+		// No winner when nobody bid
+		fields: { id: 'any', winner: 'string?', amount: 'number?' }
+	},
+	CHAT_MESSAGE: {
+		// No player for server announcements; emote marks a quick reaction (text is the emoji)
+		fields: { id: 'any?', player: 'string?', text: 'string', emote: 'boolean?', time: 'number?' }
+	},
+	GAME_END: {
+		fields: { reason: 'string?' }
+	}
+};
+
+/**
+ * Outbound (client -> server) message schemas
+ */
+export const outboundSchemas = {
+	REQUEST_JOIN: {
+		fields: { username: 'string', lobby: 'string' }
+	},
+	GAME_CREATE: {
+		fields: { username: 'string' }
+	},
+	PLAY_AGAIN: {
+		// Rematch in the lobby of a finished game; answered with NEW_GAME (first back, new host) or JOIN_GAME
+		fields: { username: 'string', lobby: 'string' }
+	},
+	REQUEST_RESUME: {
+		fields: { token: 'string' }
+	},
+	PICK_PAWN: {
+		fields: { pawn: 'string' }
+	},
+	SET_READY: {
+		fields: { ready: 'boolean' }
+	},
+	GAME_START: {
+		fields: {}
+	},
+	REQUEST_ROLL: {
+		fields: {}
+	},
+	FINISH_TURN: {
+		fields: { player: 'string' }
+	},
+	CHOICE_RESPONSE: {
+		fields: { label: 'string' }
+	},
+	PAY_JAIL_FINE: {
+		fields: {}
+	},
+	USE_JAIL_CARD: {
+		fields: {}
+	},
+	PAY_DEBT: {
+		fields: {}
+	},
+	DECLARE_BANKRUPTCY: {
+		fields: {}
+	},
+	REQUEST_UPGRADE: {
+		fields: { property: 'object' }
+	},
+	REQUEST_SELL_BUILDING: {
+		fields: { property: 'object' }
+	},
+	REQUEST_MORTGAGE: {
+		fields: { property: 'object' }
+	},
+	REQUEST_UNMORTGAGE: {
+		fields: { property: 'object' }
+	},
+	GAME_END: {
+		fields: {}
+	},
+	TRADE_OFFER: {
+		fields: { to: 'string', offer: 'object', request: 'object', 'counter-of': 'any?' }
+	},
+	TRADE_RESPONSE: {
+		// action: 'accept' | 'reject'
+		fields: { id: 'any', action: 'string' }
+	},
+	TRADE_CANCEL: {
+		fields: { id: 'any' }
+	},
+	AUCTION_BID: {
+		fields: { id: 'any', amount: 'number' }
+	},
+	CHAT_MESSAGE: {
+		fields: { text: 'string', emote: 'boolean?' }
+	},
+	PING: {
+		fields: { timestamp: 'number' }
+	}
+};
+
+/**
+ * Check a single value against a field spec
+ * @param {*} value - Value to check
+ * @param {string} type - Type name without the optional marker
+ * @returns {boolean}
+ */
+const matchesType = (value, type) => {
+	switch (type) {
+		case 'any':
+			return true;
+		case 'array':
+			return Array.isArray(value);
+		case 'object':
+			return value !== null && typeof value === 'object' && !Array.isArray(value);
+		default:
+			return typeof value === type;
+	}
+};
+
+/**
+ * Validate a payload against a field map
+ * @param {Object} fields - Field name -> spec
+ * @param {*} data - Payload
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+const validateFields = (fields, data) => {
+	if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+		return ['payload must be an object'];
+	}
+
+	const errors = [];
+	Object.entries(fields).forEach(([name, spec]) => {
+		const optional = spec.endsWith('?');
+		const type = optional ? spec.slice(0, -1) : spec;
+		const value = data[name];
+
+		if (value === undefined || value === null) {
+			if (!optional) {
+				errors.push(`missing required field "${name}"`);
+			}
+			return;
+		}
+		if (!matchesType(value, type)) {
+			errors.push(`field "${name}" must be ${type}`);
+		}
+	});
+	return errors;
+};
+
+/**
+ * Normalize and validate a message against a schema registry
+ * @param {Object} registry - inboundSchemas or outboundSchemas
+ * @param {string} type - Message type
+ * @param {*} data - Message payload
+ * @returns {{valid: boolean, known: boolean, data: *, errors: string[]}}
+ */
+const validateMessage = (registry, type, data) => {
+	const schema = registry[type];
+	if (!schema) {
+		return { valid: true, known: false, data, errors: [] };
+	}
+
+	// Messages without a payload are treated as empty objects
+	const payload = data === undefined || data === null ? {} : data;
+
+	let normalized = payload;
+	try {
+		normalized = schema.normalize ? schema.normalize(payload) : payload;
+	} catch (error) {
+		return { valid: false, known: true, data, errors: [`normalize failed: ${error.message}`] };
+	}
+
+	const errors = validateFields(schema.fields, normalized);
+	return { valid: errors.length === 0, known: true, data: normalized, errors };
+};
+
+/**
+ * Validate an inbound message
+ * @param {string} type - Message type
+ * @param {*} data - Message payload
+ * @returns {{valid: boolean, known: boolean, data: *, errors: string[]}}
+ */
+export const validateInbound = (type, data) => validateMessage(inboundSchemas, type, data);
+
+/**
+ * Validate an outbound message
+ * @param {string} type - Message type
+ * @param {*} data - Message payload
+ * @returns {{valid: boolean, known: boolean, data: *, errors: string[]}}
+ */
+export const validateOutbound = (type, data) => validateMessage(outboundSchemas, type, data);
@@ -0,0 +1,53 @@
+/**
+ * Session persistence for Monopoly Online
+ * Keeps the server-issued session token in sessionStorage so a player can
+ * rejoin their lobby after a dropped connection or a page refresh
+ */
+
+const SESSION_KEY = 'monopoly-session';
+
+/**
+ * Get the stored session, if any
+ * @returns {{token: string, username: string, isHost: boolean}|null}
+ */
+export const getStoredSession = () => {
+	try {
+		const raw = sessionStorage.getItem(SESSION_KEY);
+		if (!raw) return null;
+
+		const session = JSON.parse(raw);
+		return session && session.token ? session : null;
+	} catch (error) {
+		console.error('Error reading stored session:', error);
+		return null;
+	}
+};
+
+/**
+ * Store session details, merging with any existing session
+ * Storage can be full or disabled (e.g. private browsing); the session then
+ * only lives in memory and can't be resumed after a refresh
+ * @param {Object} session - Session fields to store (token, username, isHost)
+ * @returns {boolean} - Whether the session was stored
+ */
+export const storeSession = (session) => {
+	const merged = { ...(getStoredSession() || {}), ...session };
+	try {
+		sessionStorage.setItem(SESSION_KEY, JSON.stringify(merged));
+		return true;
+	} catch (error) {
+		console.error('Error storing session, resume will be unavailable:', error);
+		return false;
+	}
+};
+
+/**
+ * Remove the stored session
+ */
+export const clearSession = () => {
+	try {
+		sessionStorage.removeItem(SESSION_KEY);
+	} catch (error) {
+		console.error('Error clearing stored session:', error);
+	}
+};
@@ -0,0 +1,83 @@
+/**
+ * Client-side store actions
+ * Protocol messages are dispatched as-is ({ type, data }); these cover state
+ * changes that originate in the client rather than on the server
+ */
+
+export const SET_USERNAME = 'client/setUsername';
+export const SET_LOBBY_CODE = 'client/setLobbyCode';
+export const RESTORE_SESSION = 'client/restoreSession';
+export const RESET_GAME = 'client/resetGame';
+export const CLEAR_EVENT_LOG = 'log/clear';
+export const CLEAR_CHAT = 'chat/clear';
+export const CLEAR_STATS = 'stats/clear';
+export const SET_TURN_REQUEST = 'turn/request';
+export const ANSWER_CHOICE = 'turn/answerChoice';
+
+/**
+ * Remember the local player's username
+ * @param {string} username - Local username
+ */
+export const setUsername = (username) => ({ type: SET_USERNAME, data: { username } });
+
+/**
+ * Remember the lobby code entered on the login screen
+ * @param {string} lobbyCode - Lobby code
+ */
+export const setLobbyCode = (lobbyCode) => ({ type: SET_LOBBY_CODE, data: { lobbyCode } });
+
+/**
+ * Restore the local player's identity from a stored session before resuming
+ * @param {{username: string, isHost: boolean}} session - Stored session
+ */
+export const restoreSession = (session) => ({
+	type: RESTORE_SESSION,
+	data: { username: session.username || '', isHost: Boolean(session.isHost) }
+});
+
+/**
+ * Clear all game state (keeps the local username)
+ */
+export const resetGame = () => ({ type: RESET_GAME, data: {} });
+
+/**
+ * Add a protocol message to the event log
+ * @param {string} type - Message type
+ * @param {*} data - Normalized message data
+ * @param {Object} game - Game state from before the message was applied
+ */
+export const logEvent = (type, data, game) => ({ type, data, game, time: Date.now() });
+
+/**
+ * Feed a protocol message to the statistics once the game state and the event log have it
+ * @param {Object} event - Message from logEvent (game state from before the message)
+ * @param {Object} after - Game state after the message
+ * @param {{id: number, text: string}|null} cause - Latest event log entry
+ */
+export const recordStats = (event, after, cause) => ({ ...event, after, cause });
+
+/**
+ * Empty the event log
+ */
+export const clearEventLog = () => ({ type: CLEAR_EVENT_LOG, data: {} });
+
+/**
+ * Empty the chat
+ */
+export const clearChat = () => ({ type: CLEAR_CHAT, data: {} });
+
+/**
+ * Forget the statistics and results of the last game
+ */
+export const clearStats = () => ({ type: CLEAR_STATS, data: {} });
+
+/**
+ * Mark a turn request as sent, or clear it
+ * @param {'roll'|'end'|null} request - Request waiting for the server
+ */
+export const setTurnRequest = (request) => ({ type: SET_TURN_REQUEST, data: { request } });
+
+/**
+ * Mark the pending choice as answered
+ */
+export const answerChoice = () => ({ type: ANSWER_CHOICE, data: {} });
@@ -0,0 +1,67 @@
+/**
+ * Chat reducer
+ * Keeps lobby chat messages plus system lines for lobby events. Actions are
+ * protocol messages with the game state from before the message, as for the event log
+ */
+
+import { CLEAR_CHAT } from './actions';
+
+export const initialChatState = {
+	messages: [],
+	nextId: 1
+};
+
+// Oldest messages are dropped beyond this
+const MAX_MESSAGES = 200;
+
+/**
+ * Build a system line
+ * @param {string} text - Readable line
+ * @returns {Object}
+ */
+const system = (text) => ({ player: null, text, emote: false, system: true });
+
+/**
+ * Describers for each message type; each returns a message or null to skip
+ */
+const describers = {
+	CHAT_MESSAGE: (data) => (data.player
+		? { player: data.player, text: data.text, emote: Boolean(data.emote), system: false }
+		: system(data.text)),
+
+	NEW_PLAYER: (data) => system(`${data.player.username} joined the lobby`),
+
+	GAME_START: () => system('The game has started. Good luck!'),
+
+	PLAYER_ELIMINATED: (data) => system(`${data.player} is out of the game${data.creditor ? `; ${data.creditor} takes their assets` : ''}`),
+
+	GAME_END: (data) => system(`The game ended${data.reason ? `: ${data.reason}` : ''}`)
+};
+
+/**
+ * Chat reducer
+ * @param {Object} state - Current chat
+ * @param {{type: string, data: *, game: Object, time: number}} action - Protocol message with context
+ * @returns {Object} - Next chat (the same object when nothing changed)
+ */
+const chatReducer = (state = initialChatState, action) => {
+	if (action.type === CLEAR_CHAT) {
+		return initialChatState;
+	}
+	// A new lobby starts a new conversation
+	if (action.type === 'NEW_GAME' || action.type === 'JOIN_GAME') {
+		return state.messages.length > 0 ? { ...state, messages: [] } : state;
+	}
+
+	const describe = describers[action.type];
+	if (!describe) return state;
+
+	const message = describe(action.data || {}, action.game);
+	if (!message) return state;
+
+	const time = action.data?.time || action.time;
+	const messages = [...state.messages, { ...message, id: state.nextId, time }].slice(-MAX_MESSAGES);
+	return { messages, nextId: state.nextId + 1 };
+};
+
+export default chatReducer;
@@ -0,0 +1,53 @@
+/**
+ * Minimal observable store
+ * Holds a single immutable state tree that only changes through a reducer
+ */
+
+/**
+ * Create a store
+ * @param {Function} reducer - (state, action) => newState
+ * @param {Object} initialState - Starting state
+ * @returns {{getState: Function, dispatch: Function, subscribe: Function}}
+ */
+const createStore = (reducer, initialState) => {
+	let state = initialState;
+	const listeners = new Set();
+
+	/**
+	 * Get the current state
+	 * @returns {Object}
+	 */
+	const getState = () => state;
+
+	/**
+	 * Run an action through the reducer and notify subscribers if the state changed
+	 * @param {{type: string, data: *}} action - Protocol message or client action
+	 */
+	const dispatch = (action) => {
+		const nextState = reducer(state, action);
+		if (nextState === state) return;
+
+		state = nextState;
+		listeners.forEach(listener => {
+			try {
+				listener(state);
+			} catch (error) {
+				console.error('Error in store listener:', error);
+			}
+		});
+	};
+
+	/**
+	 * Subscribe to state changes
+	 * @param {Function} listener - Called with the new state
+	 * @returns {Function} - Unsubscribe function
+	 */
+	const subscribe = (listener) => {
+		listeners.add(listener);
+		return () => listeners.delete(listener);
+	};
+
+	return { getState, dispatch, subscribe };
+};
+
+export default createStore;
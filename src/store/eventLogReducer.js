@@ -0,0 +1,305 @@
+/**
+ * Game event log reducer
+ * Turns protocol messages into readable log lines. Actions are protocol messages
+ * extended with the game state from before the message ({ type, data, game, time }),
+ * so tile names and previous owners can be looked up
+ */
+
+import { CLEAR_EVENT_LOG } from './actions';
+import { describeTradeSide, getJailStatus } from './selectors';
+
+export const initialEventLogState = {
+	entries: [],
+	nextId: 1
+};
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 500;
+
+/**
+ * Get a tile's name
+ * @param {Object} game - Game state
+ * @param {number} tileId - Tile id
+ * @returns {string}
+ */
+const tileName = (game, tileId) => {
+	const tile = game.board.find(t => t.id === tileId);
+	return tile ? tile.name : `tile ${tileId}`;
+};
+
+/**
+ * Get the name of the tile being auctioned
+ * @param {Object} game - Game state
+ * @returns {string}
+ */
+const auctionTileName = (game) => {
+	if (!game.auction) return 'the property';
+	return game.auction.property.name || tileName(game, game.auction.property.id);
+};
+
+/**
+ * Describe a building level
+ * @param {number} level - 1-4 houses, 5 hotel
+ * @returns {string}
+ */
+const levelName = (level) => {
+	if (level >= 5) return 'a hotel';
+	return level === 1 ? '1 house' : `${level} houses`;
+};
+
+/**
+ * Build a new log entry
+ * @param {string} kind - Entry kind, used when merging related events
+ * @param {string} text - Readable line
+ * @param {string[]} players - Players the entry concerns (for filtering)
+ * @param {Object} meta - Details used when merging
+ * @returns {Object}
+ */
+const entry = (kind, text, players = [], meta = {}) => ({ kind, text, players, meta });
+
+/**
+ * Describers for each message type
+ * Each returns a new entry, { merge } to replace the last entry, or null to skip the message
+ */
+const describers = {
+	NEW_GAME: (data) => entry('lobby', `Created lobby ${data['lobby-code']}`),
+
+	JOIN_GAME: (data, game) => entry('lobby', `Joined lobby ${data['lobby-code'] || game.lobbyCode || ''}`.trim()),
+
+	RESUME_GAME: () => entry('lobby', 'Rejoined the game'),
+
+	NEW_PLAYER: (data) => entry('lobby', `${data.player.username} joined the game`, [data.player.username]),
+
+	PLAYER_UPDATE: (data) => {
+		if (data.pawn) return entry('lobby', `${data.player} picked the ${data.pawn}`, [data.player]);
+		if (data.ready === undefined) return null;
+		return entry('lobby', `${data.player} is ${data.ready ? 'ready' : 'no longer ready'}`, [data.player]);
+	},
+
+	GAME_START: () => entry('turn', 'The game started'),
+
+	NEXT_TURN: (data) => entry('turn', `It's ${data.player}'s turn`, [data.player]),
+
+	DICE_ROLL: (data, game) => {
+		const player = data.player || game.username;
+		const total = data.dice.reduce((sum, die) => sum + die, 0);
+		const doubles = data.dice.length === 2 && data.dice[0] === data.dice[1];
+		return entry('roll', `${player} rolled ${data.dice.join(' + ')} (${total})${doubles ? ', doubles!' : ''}`, [player]);
+	},
+
+	SET_POSITION: (data, game) => {
+		const player = data.player || game.username;
+		if (data.jailed) return entry('jail', `${player} was sent to jail`, [player], { player });
+		const name = tileName(game, data.position);
+		return entry('move', `${player} landed on ${name}`, [player], { player, tile: name });
+	},
+
+	JAIL_STATUS: (data, game, last) => {
+		const player = data.player || game.username;
+		const before = getJailStatus(game.jail, player);
+		const cards = data.cards ?? before.cards;
+
+		if (data.jailed && !before.jailed) return entry('jail', `${player} was sent to jail`, [player], { player });
+		if (data.jailed) {
+			if (cards > before.cards) return entry('jail', `${player} got a Get Out of Jail Free card`, [player]);
+			// Only a failed roll lowers the count
+			const left = data['turns-left'];
+			return left === undefined || left >= before.turnsLeft ? null : entry('jail', `${player} stayed in jail (${left} roll${left === 1 ? '' : 's'} left)`, [player]);
+		}
+		if (before.jailed) {
+			if (cards < before.cards) return entry('jail', `${player} used a Get Out of Jail Free card`, [player]);
+			// "Alice paid $50" + release -> "Alice paid $50 to get out of jail"
+			if (last && last.kind === 'payment' && last.meta.player === player && !last.meta.payee) {
+				return { merge: entry('jail', `${last.text} to get out of jail`, last.players) };
+			}
+			return entry('jail', `${player} got out of jail`, [player]);
+		}
+		return cards > before.cards ? entry('jail', `${player} got a Get Out of Jail Free card`, [player]) : null;
+	},
+
+	TRANSACTION: (data, game, last) => {
+		const player = data.player || game.username;
+		const amount = Math.abs(data['balance-change']);
+		if (amount === 0) return null;
+
+		if (data['balance-change'] < 0) {
+			// Already covered by "Alice won Baltic Avenue at auction for $60"
+			if (last && last.kind === 'auction' && last.meta.player === player && last.meta.amount === amount) {
+				return null;
+			}
+			// "Alice landed on Income Tax" + "Alice paid $200" -> one line
+			if (last && last.kind === 'move' && last.meta.player === player) {
+				return {
+					merge: entry('payment', `${last.text} and paid $${amount}`, last.players, { player, amount, tile: last.meta.tile })
+				};
+			}
+			return entry('payment', `${player} paid $${amount}`, [player], { player, amount });
+		}
+
+		// "Alice paid $4" + "Bob received $4" -> "Alice paid $4 to Bob"
+		if (last && last.kind === 'payment' && last.meta.player !== player && last.meta.amount === amount && !last.meta.payee) {
+			return {
+				merge: entry('payment', `${last.text} to ${player}`, [...last.players, player], { ...last.meta, payee: player })
+			};
+		}
+		return entry('income', `${player} received $${amount}`, [player], { player, amount });
+	},
+
+	PROPERTY_TRANSFER: (data, game, last) => {
+		const player = data.player || game.username;
+		const name = data.property.name || tileName(game, data.property.id);
+		const previous = game.ownership[data.property.id];
+
+		if (last && last.kind === 'auction' && last.meta.player === player && last.meta.tile === name) {
+			return null;
+		}
+		if (previous && previous.owner !== player) {
+			return entry('property', `${player} received ${name} from ${previous.owner}`, [player, previous.owner]);
+		}
+		// "Alice landed on Baltic Avenue and paid $60" + transfer -> "... and bought it for $60"
+		if (last && last.kind === 'payment' && last.meta.player === player && !last.meta.payee) {
+			const text = last.meta.tile === name
+				? `${player} landed on ${name} and bought it for $${last.meta.amount}`
+				: `${player} bought ${name} for $${last.meta.amount}`;
+			return { merge: entry('property', text, [player]) };
+		}
+		return entry('property', `${player} bought ${name}`, [player]);
+	},
+
+	PROPERTY_UPGRADE: (data, game, last) => {
+		const player = data.player || game.ownership[data.property.id]?.owner || game.username;
+		const name = tileName(game, data.property.id);
+		const text = `${player} upgraded ${name} to ${levelName(data.property.level)}`;
+
+		if (last && last.kind === 'payment' && last.meta.player === player && !last.meta.payee && !last.meta.tile) {
+			return { merge: entry('property', `${text} for $${last.meta.amount}`, [player]) };
+		}
+		return entry('property', text, [player]);
+	},
+
+	PROPERTY_DOWNGRADE: (data, game, last) => {
+		const player = data.player || game.ownership[data.property.id]?.owner || game.username;
+		const name = tileName(game, data.property.id);
+		const sold = data.property.level === 4 ? 'a hotel' : 'a house';
+		const text = `${player} sold ${sold} on ${name}`;
+
+		// "Alice received $25" + sale -> "Alice sold a house on Baltic Avenue for $25"
+		if (last && last.kind === 'income' && last.meta.player === player) {
+			return { merge: entry('property', `${text} for $${last.meta.amount}`, [player]) };
+		}
+		return entry('property', text, [player]);
+	},
+
+	PROPERTY_MORTGAGE: (data, game, last) => {
+		const player = data.player || game.ownership[data.property.id]?.owner || game.username;
+		const name = tileName(game, data.property.id);
+		const { mortgaged } = data.property;
+		const text = mortgaged ? `${player} mortgaged ${name}` : `${player} lifted the mortgage on ${name}`;
+
+		// The cash moves first: received for a mortgage, paid to lift one
+		const expected = mortgaged ? 'income' : 'payment';
+		if (last && last.kind === expected && last.meta.player === player && !last.meta.payee && !last.meta.tile) {
+			return { merge: entry('property', `${text} for $${last.meta.amount}`, [player]) };
+		}
+		return entry('property', text, [player]);
+	},
+
+	TILE_MESSAGE: (data, game) => entry('message', `${data.title}: ${data.message}`, game.username ? [game.username] : []),
+
+	TRADE_OFFER: (data, game) => {
+		const gives = describeTradeSide(game.board, data.offer).join(', ') || 'nothing';
+		const wants = describeTradeSide(game.board, data.request).join(', ') || 'nothing';
+		const verb = data['counter-of'] !== undefined ? 'countered with' : 'offered';
+		return entry('trade', `${data.from} ${verb} ${gives} to ${data.to} for ${wants}`, [data.from, data.to]);
+	},
+
+	TRADE_UPDATE: (data, game) => {
+		const trade = game.trades[data.id];
+		// Counter-offers are logged as their own TRADE_OFFER
+		if (!trade || data.status === 'countered') return null;
+		return entry('trade', `Trade between ${trade.from} and ${trade.to} ${data.status}`, [trade.from, trade.to]);
+	},
+
+	AUCTION_START: (data, game) => {
+		const name = data.property.name || tileName(game, data.property.id);
+		return entry('auction', `${name} is up for auction`, [], { tile: name });
+	},
+
+	AUCTION_BID: (data, game) => (
+		entry('auction', `${data.player} bid $${data.amount} for ${auctionTileName(game)}`, [data.player])
+	),
+
+	AUCTION_END: (data, game) => {
+		const name = auctionTileName(game);
+		if (!data.winner) {
+			return entry('auction', `Nobody bid on ${name}`);
+		}
+		return entry('auction', `${data.winner} won ${name} at auction for $${data.amount}`, [data.winner], {
+			player: data.winner,
+			amount: data.amount,
+			tile: name
+		});
+	},
+
+	DEBT: (data, game) => {
+		const player = data.player || game.username;
+		const creditor = data.creditor || 'the bank';
+		return entry('debt', `${player} owes $${data.amount} to ${creditor} and cannot pay`, [player, ...(data.creditor ? [data.creditor] : [])]);
+	},
+
+	DEBT_SETTLED: (data, game, last) => {
+		const player = data.player || game.username;
+		// "Alice paid $300 to Bob" + settled -> one line
+		if (last && last.kind === 'payment' && last.meta.player === player) {
+			return { merge: entry('debt', `${last.text} and settled the debt`, last.players) };
+		}
+		return entry('debt', `${player} settled the debt`, [player]);
+	},
+
+	PLAYER_ELIMINATED: (data) => {
+		const reason = data.reason ? ` (${data.reason})` : '';
+		const assets = data.creditor ? `; their assets go to ${data.creditor}` : '';
+		return entry('turn', `${data.player} was eliminated${reason}${assets}`, [data.player, ...(data.creditor ? [data.creditor] : [])]);
+	},
+
+	GAME_END: (data) => entry('turn', `The game ended${data.reason ? `: ${data.reason}` : ''}`)
+};
+
+/**
+ * Event log reducer
+ * @param {Object} state - Current log
+ * @param {{type: string, data: *, game: Object, time: number}} action - Protocol message with context
+ * @returns {Object} - Next log (the same object when nothing changed)
+ */
+const eventLogReducer = (state = initialEventLogState, action) => {
+	if (action.type === CLEAR_EVENT_LOG) {
+		return initialEventLogState;
+	}
+
+	const describe = describers[action.type];
+	if (!describe) return state;
+
+	const last = state.entries[state.entries.length - 1];
+	let result;
+	try {
+		result = describe(action.data || {}, action.game, last);
+	} catch (error) {
+		console.error(`Could not describe ${action.type} for the event log:`, error);
+		return state;
+	}
+	if (!result) return state;
+
+	if (result.merge) {
+		return {
+			...state,
+			entries: [...state.entries.slice(0, -1), { ...last, ...result.merge }]
+		};
+	}
+
+	// A new game starts a new log
+	const base = action.type === 'NEW_GAME' || action.type === 'JOIN_GAME' ? [] : state.entries;
+	const entries = [...base, { ...result, id: state.nextId, time: action.time }].slice(-MAX_ENTRIES);
+	return { entries, nextId: state.nextId + 1 };
+};
+
+export default eventLogReducer;
@@ -0,0 +1,519 @@
+/**
+ * Game state reducer
+ * Driven by protocol messages ({ type, data }, already normalized by protocol.js)
+ * and by the client actions in actions.js
+ */
+
+import { SET_USERNAME, SET_LOBBY_CODE, RESTORE_SESSION, RESET_GAME } from './actions';
+import turnReducer, { initialTurnState } from './turnReducer';
+
+export const initialGameState = {
+	username: '',
+	isHost: false,
+	lobbyCode: null,
+	board: [],
+	players: [],
+	pawns: [],
+	currentTurn: null,
+	started: false,
+	// Local player's turn phase and flags (see turnReducer.js)
+	turn: initialTurnState,
+	// username -> tile id
+	positions: {},
+	// Local player's balance and owned properties
+	balance: 0,
+	ownedProperties: [],
+	// Every owned tile, for all players: tile id -> { owner, level, mortgaged }
+	ownership: {},
+	// Last known cash of every player (username -> balance) and eliminated usernames
+	balances: {},
+	eliminated: [],
+	// Unpaid debts (username -> { amount, creditor }) and who took each bankrupt player's
+	// assets (username -> creditor); a null creditor is the bank
+	debts: {},
+	bankruptcies: {},
+	// Jail state of every player: username -> { jailed, turnsLeft, cards }
+	jail: {},
+	// Fine for leaving jail, once the server has named it
+	jailFine: null,
+	// Pending trade offers involving the local player: trade id -> offer
+	trades: {},
+	// Houses and hotels left in the bank ({ houses, hotels }), null when the server sets no limit
+	bankSupply: null,
+	// Running auction ({ id, property, minBid, highBid, highBidder, endsAt }) or null
+	auction: null,
+	// Most recent roll ({ player, dice, total, doubles, inferred, sequence }) and recent rolls per player
+	lastRoll: null,
+	rollHistory: {},
+	// Player whose DICE_ROLL has not been followed by a move yet, and the players who
+	// have moved this turn; they tell a roll's move from a card's (see SET_POSITION)
+	pendingRoll: null,
+	movedThisTurn: []
+};
+
+// Rolls kept per player in rollHistory
+const ROLL_HISTORY_LENGTH = 5;
+
+// Totals two dice can roll, for moves that arrive without a DICE_ROLL
+const MIN_ROLL_TOTAL = 2;
+const MAX_ROLL_TOTAL = 12;
+
+// Jail state of a player the server has said nothing about
+export const FREE_JAIL_STATUS = { jailed: false, turnsLeft: 0, cards: 0 };
+
+/**
+ * Put every listed player on the start tile
+ * @param {Object[]} players - Players
+ * @returns {Object} - username -> 0
+ */
+const startPositions = (players) => {
+	const positions = {};
+	players.forEach(player => {
+		positions[player.username] = 0;
+	});
+	return positions;
+};
+
+/**
+ * Check whether a message concerns the local player
+ * Messages without a player field are sent to the local player only
+ * @param {Object} state - Current state
+ * @param {string|null|undefined} player - Player named by the message
+ * @returns {boolean}
+ */
+const isLocalPlayer = (state, player) => !player || player === state.username;
+
+/**
+ * Record the local player's properties in the shared ownership map
+ * @param {Object} ownership - tile id -> { owner, level, mortgaged }
+ * @param {string} username - Local player
+ * @param {Object[]} properties - Local player's owned properties
+ * @returns {Object} - Updated ownership map
+ */
+const withLocalOwnership = (ownership, username, properties) => {
+	const result = { ...ownership };
+	Object.keys(result).forEach(id => {
+		if (result[id].owner === username) {
+			delete result[id];
+		}
+	});
+	properties.forEach(property => {
+		result[property.id] = { owner: username, level: property.level || 0, mortgaged: Boolean(property.mortgaged) };
+	});
+	return result;
+};
+
+/**
+ * Build the stored auction from an AUCTION_START payload (or RESUME_GAME's auction)
+ * @param {Object} data - { id, property, min-bid, ends-at, high-bid?, high-bidder? }
+ * @returns {Object}
+ */
+const auctionFromMessage = (data) => ({
+	id: data.id,
+	property: data.property,
+	minBid: data['min-bid'],
+	highBid: data['high-bid'] || 0,
+	highBidder: data['high-bidder'] || null,
+	endsAt: data['ends-at']
+});
+
+/**
+ * Apply a change (building level, mortgage) to an owned property
+ * @param {Object} state - Current state
+ * @param {{property: Object, player: ?string}} data - Message naming the property
+ * @param {Object} changes - Fields to set, e.g. { level } or { mortgaged }
+ * @returns {Object} - Next state
+ */
+const updateProperty = (state, data, changes) => {
+	const { id } = data.property;
+	const current = state.ownership[id] || { owner: data.player || state.username, level: 0, mortgaged: false };
+	const ownership = { ...state.ownership, [id]: { ...current, ...changes } };
+
+	if (!isLocalPlayer(state, data.player)) {
+		return { ...state, ownership };
+	}
+	return {
+		...state,
+		ownership,
+		ownedProperties: state.ownedProperties.map(p => (p.id === id ? { ...p, ...changes } : p))
+	};
+};
+
+/**
+ * Add a roll to the last roll and the player's roll history
+ * @param {Object} state - Game state
+ * @param {Object} roll - Roll fields ({ player, dice, total, doubles, inferred })
+ * @returns {Object} - New game state
+ */
+const addRoll = (state, roll) => {
+	// The sequence lets the UI tell two identical rolls in a row apart
+	const entry = { ...roll, sequence: state.lastRoll ? state.lastRoll.sequence + 1 : 1 };
+	const history = [entry, ...(state.rollHistory[roll.player] || [])].slice(0, ROLL_HISTORY_LENGTH);
+	return {
+		...state,
+		lastRoll: entry,
+		rollHistory: { ...state.rollHistory, [roll.player]: history }
+	};
+};
+
+/**
+ * Work out the roll behind a move the server sent no DICE_ROLL for
+ * Only a forward move of 2 to 12 tiles that is the player's first this turn (or
+ * answers the local player's roll request) counts; card moves and jail are left out
+ * @param {Object} state - Game state before the move
+ * @param {string} player - Player who moved
+ * @param {Object} data - SET_POSITION data
+ * @returns {number|null} - Rolled total, or null when the move was not a roll
+ */
+const inferRollTotal = (state, player, data) => {
+	if (data.jailed || state.pendingRoll === player) return null;
+
+	const from = state.positions[player];
+	const boardSize = state.board.length;
+	if (from === undefined || boardSize === 0) return null;
+
+	const requested = isLocalPlayer(state, player) && state.turn.request === 'roll';
+	const firstMove = player === state.currentTurn && !state.movedThisTurn.includes(player);
+	if (!requested && !firstMove) return null;
+
+	const total = (data.position - from + boardSize) % boardSize;
+	return total >= MIN_ROLL_TOTAL && total <= MAX_ROLL_TOTAL ? total : null;
+};
+
+/**
+ * Apply a change to a player's jail state
+ * @param {Object} state - Current state
+ * @param {string} player - Username
+ * @param {Object} changes - Fields to set ({ jailed, turnsLeft, cards })
+ * @returns {Object} - Next state
+ */
+const updateJail = (state, player, changes) => ({
+	...state,
+	jail: { ...state.jail, [player]: { ...(state.jail[player] || FREE_JAIL_STATUS), ...changes } }
+});
+
+/**
+ * Reducers for each action type
+ */
+const handlers = {
+	[SET_USERNAME]: (state, data) => ({ ...state, username: data.username }),
+
+	[SET_LOBBY_CODE]: (state, data) => ({ ...state, lobbyCode: data.lobbyCode }),
+
+	[RESTORE_SESSION]: (state, data) => ({ ...state, username: data.username, isHost: data.isHost }),
+
+	[RESET_GAME]: (state) => ({ ...initialGameState, username: state.username }),
+
+	NEW_GAME: (state, data) => ({
+		...initialGameState,
+		username: state.username,
+		isHost: true,
+		lobbyCode: data['lobby-code'],
+		board: data.board,
+		pawns: data.pawns,
+		positions: state.username ? { [state.username]: 0 } : {}
+	}),
+
+	JOIN_GAME: (state, data) => ({
+		...initialGameState,
+		username: state.username,
+		lobbyCode: data['lobby-code'] || state.lobbyCode,
+		board: data.board,
+		players: data.players,
+		pawns: data.pawns,
+		positions: startPositions(data.players)
+	}),
+
+	RESUME_GAME: (state, data) => {
+		const username = data.username || state.username;
+
+		// Positions may come as a username -> tile map or on each player entry
+		const positions = { ...(data.positions || {}) };
+		data.players.forEach(player => {
+			if (positions[player.username] === undefined) {
+				positions[player.username] = player.position || 0;
+			}
+		});
+
+		// Other players' properties and cash are only known if the server lists them
+		const ownership = {};
+		data.ownership.forEach(entry => {
+			ownership[entry.id] = { owner: entry.owner, level: entry.level || 0, mortgaged: Boolean(entry.mortgaged) };
+		});
+		const balances = {};
+		data.players.forEach(player => {
+			if (typeof player.balance === 'number') {
+				balances[player.username] = player.balance;
+			}
+		});
+		balances[username] = data.balance;
+		const jail = {};
+		data.players.forEach(player => {
+			if (player.jailed || player['jail-cards']) {
+				jail[player.username] = {
+					jailed: Boolean(player.jailed),
+					turnsLeft: player['jail-turns-left'] || 0,
+					cards: player['jail-cards'] || 0
+				};
+			}
+		});
+
+		return {
+			...initialGameState,
+			username,
+			isHost: data.host !== undefined ? data.host === username : state.isHost,
+			lobbyCode: data['lobby-code'] || state.lobbyCode,
+			board: data.board,
+			players: data.players,
+			pawns: data.pawns,
+			currentTurn: data['current-turn'] || null,
+			started: Boolean(data['current-turn']),
+			positions,
+			balance: data.balance,
+			ownedProperties: data['owned-properties'],
+			ownership: withLocalOwnership(ownership, username, data['owned-properties']),
+			balances,
+			eliminated: data.eliminated,
+			debts: data.debt ? { [username]: { amount: data.debt.amount, creditor: data.debt.creditor || null } } : {},
+			jail,
+			auction: data.auction ? auctionFromMessage(data.auction) : null,
+			bankSupply: data['bank-supply'] || null,
+			// The resumed turn may already have had its roll
+			movedThisTurn: data['current-turn'] ? [data['current-turn']] : []
+		};
+	},
+
+	NEW_PLAYER: (state, data) => ({
+		...state,
+		players: [...state.players, data.player],
+		positions: { ...state.positions, [data.player.username]: 0 }
+	}),
+
+	PLAYER_UPDATE: (state, data) => {
+		const { player, ...changes } = data;
+		return {
+			...state,
+			players: state.players.map(p => (p.username === player ? { ...p, ...changes } : p))
+		};
+	},
+
+	GAME_START: (state) => ({
+		...state,
+		started: true,
+		positions: startPositions(state.players)
+	}),
+
+	NEXT_TURN: (state, data) => ({ ...state, currentTurn: data.player, pendingRoll: null, movedThisTurn: [] }),
+
+	PLAYER_DATA: (state, data) => {
+		if (!isLocalPlayer(state, data.player)) {
+			return { ...state, balances: { ...state.balances, [data.player]: data.balance } };
+		}
+		return {
+			...state,
+			balance: data.balance,
+			ownedProperties: data['owned-properties'],
+			ownership: withLocalOwnership(state.ownership, state.username, data['owned-properties']),
+			balances: { ...state.balances, [state.username]: data.balance }
+		};
+	},
+
+	TRANSACTION: (state, data) => {
+		const player = data.player || state.username;
+		const balances = { ...state.balances, [player]: data['balance-sync'] };
+		if (!isLocalPlayer(state, data.player)) {
+			return { ...state, balances };
+		}
+		return { ...state, balance: data['balance-sync'], balances };
+	},
+
+	PROPERTY_TRANSFER: (state, data) => {
+		const { property } = data;
+		const owner = data.player || state.username;
+		const ownership = {
+			...state.ownership,
+			[property.id]: { owner, level: property.level || 0, mortgaged: Boolean(property.mortgaged) }
+		};
+
+		if (!isLocalPlayer(state, data.player)) {
+			// The property may have been transferred away from the local player
+			return {
+				...state,
+				ownership,
+				ownedProperties: state.ownedProperties.filter(p => p.id !== property.id)
+			};
+		}
+
+		// Update the property if already owned, otherwise add it
+		const exists = state.ownedProperties.some(p => p.id === property.id);
+		return {
+			...state,
+			ownership,
+			ownedProperties: exists
+				? state.ownedProperties.map(p => (p.id === property.id ? property : p))
+				: [...state.ownedProperties, property]
+		};
+	},
+
+	DICE_ROLL: (state, data) => {
+		const player = data.player || state.username;
+		if (!player) return state;
+
+		const next = addRoll(state, {
+			player,
+			dice: data.dice,
+			total: data.dice.reduce((sum, die) => sum + die, 0),
+			doubles: data.dice.length === 2 && data.dice[0] === data.dice[1],
+			inferred: false
+		});
+		return { ...next, pendingRoll: player };
+	},
+
+	SET_POSITION: (state, data) => {
+		// A null player (legacy bare position) refers to the local player
+		const player = data.player || state.username;
+		if (!player) return state;
+
+		// The server may announce rolls only through the move; the total is all that is known then
+		const inferredTotal = inferRollTotal(state, player, data);
+		const rolled = inferredTotal === null
+			? state
+			: addRoll(state, { player, dice: null, total: inferredTotal, doubles: false, inferred: true });
+		const next = {
+			...rolled,
+			positions: { ...state.positions, [player]: data.position },
+			pendingRoll: state.pendingRoll === player ? null : state.pendingRoll,
+			movedThisTurn: state.movedThisTurn.includes(player) ? state.movedThisTurn : [...state.movedThisTurn, player]
+		};
+
+		if (data.jailed) {
+			return updateJail(next, player, { jailed: true });
+		}
+		// Any move out of the cell means the player was released
+		const wasJailed = Boolean(state.jail[player]?.jailed);
+		if (wasJailed && (data.jailed === false || state.positions[player] !== data.position)) {
+			return updateJail(next, player, { jailed: false, turnsLeft: 0 });
+		}
+		return next;
+	},
+
+	JAIL_STATUS: (state, data) => {
+		const player = data.player || state.username;
+		if (!player) return state;
+		const current = state.jail[player] || FREE_JAIL_STATUS;
+		const next = updateJail(state, player, {
+			jailed: data.jailed,
+			turnsLeft: data.jailed ? data['turns-left'] ?? current.turnsLeft : 0,
+			cards: data.cards ?? current.cards
+		});
+		return typeof data.fine === 'number' ? { ...next, jailFine: data.fine } : next;
+	},
+
+	PROPERTY_UPGRADE: (state, data) => updateProperty(state, data, { level: data.property.level }),
+
+	PROPERTY_DOWNGRADE: (state, data) => updateProperty(state, data, { level: data.property.level }),
+
+	PROPERTY_MORTGAGE: (state, data) => updateProperty(state, data, { mortgaged: Boolean(data.property.mortgaged) }),
+
+	TRADE_OFFER: (state, data) => {
+		const trades = { ...state.trades, [data.id]: data };
+		// A counter-offer replaces the offer it answers
+		if (data['counter-of'] !== undefined && data['counter-of'] !== null) {
+			delete trades[data['counter-of']];
+		}
+		return { ...state, trades };
+	},
+
+	TRADE_UPDATE: (state, data) => {
+		if (!state.trades[data.id]) return state;
+		const trades = { ...state.trades };
+		delete trades[data.id];
+		return { ...state, trades };
+	},
+
+	AUCTION_START: (state, data) => ({ ...state, auction: auctionFromMessage(data) }),
+
+	AUCTION_BID: (state, data) => {
+		if (!state.auction || state.auction.id !== data.id) return state;
+		return {
+			...state,
+			auction: { ...state.auction, highBid: data.amount, highBidder: data.player, endsAt: data['ends-at'] }
+		};
+	},
+
+	AUCTION_END: (state, data) => {
+		if (!state.auction || state.auction.id !== data.id) return state;
+		return { ...state, auction: null };
+	},
+
+	BANK_SUPPLY: (state, data) => ({ ...state, bankSupply: { houses: data.houses, hotels: data.hotels } }),
+
+	DEBT: (state, data) => {
+		const player = data.player || state.username;
+		if (!player) return state;
+		return { ...state, debts: { ...state.debts, [player]: { amount: data.amount, creditor: data.creditor || null } } };
+	},
+
+	DEBT_SETTLED: (state, data) => {
+		const player = data.player || state.username;
+		if (!state.debts[player]) return state;
+		const debts = { ...state.debts };
+		delete debts[player];
+		return { ...state, debts };
+	},
+
+	PLAYER_ELIMINATED: (state, data) => {
+		if (state.eliminated.includes(data.player)) return state;
+		const creditor = data.creditor || null;
+		const debts = { ...state.debts };
+		delete debts[data.player];
+
+		// Whatever the server did not transfer yet goes to the creditor, or back to the bank
+		const ownership = { ...state.ownership };
+		Object.keys(ownership).forEach(id => {
+			if (ownership[id].owner !== data.player) return;
+			if (creditor) {
+				ownership[id] = { ...ownership[id], owner: creditor, level: 0 };
+			} else {
+				delete ownership[id];
+			}
+		});
+
+		let { ownedProperties } = state;
+		if (data.player === state.username) {
+			ownedProperties = [];
+		} else if (creditor && creditor === state.username) {
+			const received = state.board
+				.filter(tile => ownership[tile.id]?.owner === creditor && !ownedProperties.some(p => p.id === tile.id))
+				.map(tile => ({ id: tile.id, name: tile.name, color: tile.color, level: 0, mortgaged: ownership[tile.id].mortgaged }));
+			ownedProperties = [...ownedProperties, ...received];
+		}
+
+		return {
+			...state,
+			eliminated: [...state.eliminated, data.player],
+			bankruptcies: { ...state.bankruptcies, [data.player]: creditor },
+			debts,
+			ownership,
+			ownedProperties
+		};
+	},
+
+	GAME_END: (state) => ({ ...initialGameState, username: state.username })
+};
+
+/**
+ * Game reducer
+ * @param {Object} state - Current state
+ * @param {{type: string, data: *}} action - Protocol message or client action
+ * @returns {Object} - Next state (the same object when nothing changed)
+ */
+const gameReducer = (state = initialGameState, action) => {
+	const handler = handlers[action.type];
+	const next = handler ? handler(state, action.data || {}) : state;
+
+	const turn = turnReducer(next.turn, action, next);
+	return turn === next.turn ? next : { ...next, turn };
+};
+
+export default gameReducer;
@@ -0,0 +1,81 @@
+/**
+ * Store singletons (game state, event log, chat and statistics) and React bindings
+ */
+
+import { useRef, useCallback, useSyncExternalStore } from 'react';
+import createStore from './createStore';
+import gameReducer, { initialGameState } from './gameReducer';
+import eventLogReducer, { initialEventLogState } from './eventLogReducer';
+import chatReducer, { initialChatState } from './chatReducer';
+import statsReducer, { initialStatsState } from './statsReducer';
+
+export const gameStore = createStore(gameReducer, initialGameState);
+export const eventLogStore = createStore(eventLogReducer, initialEventLogState);
+export const chatStore = createStore(chatReducer, initialChatState);
+export const statsStore = createStore(statsReducer, initialStatsState);
+
+/**
+ * Shallow equality for arrays and plain objects
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+const shallowEqual = (a, b) => {
+	if (Object.is(a, b)) return true;
+	if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+
+	const keysA = Object.keys(a);
+	const keysB = Object.keys(b);
+	if (keysA.length !== keysB.length) return false;
+	return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+};
+
+/**
+ * Subscribe a component to a slice of a store's state
+ * The component re-renders only when the selected slice changes (shallowly)
+ * @param {Object} store - Store created by createStore
+ * @param {Function} selector - (state) => slice
+ * @returns {*} - Selected slice
+ */
+const useStore = (store, selector) => {
+	const cache = useRef({ hasValue: false, value: undefined });
+
+	const getSnapshot = useCallback(() => {
+		const next = selector(store.getState());
+		if (cache.current.hasValue && shallowEqual(cache.current.value, next)) {
+			return cache.current.value;
+		}
+		cache.current = { hasValue: true, value: next };
+		return next;
+	}, [store, selector]);
+
+	return useSyncExternalStore(store.subscribe, getSnapshot, getSnapshot);
+};
+
+/**
+ * Subscribe a component to a slice of the game state
+ * @param {Function} selector - (state) => slice
+ * @returns {*} - Selected slice
+ */
+export const useGameStore = (selector) => useStore(gameStore, selector);
+
+/**
+ * Subscribe a component to a slice of the event log
+ * @param {Function} selector - (log) => slice
+ * @returns {*} - Selected slice
+ */
+export const useEventLog = (selector) => useStore(eventLogStore, selector);
+
+/**
+ * Subscribe a component to a slice of the chat
+ * @param {Function} selector - (chat) => slice
+ * @returns {*} - Selected slice
+ */
+export const useChat = (selector) => useStore(chatStore, selector);
+
+/**
+ * Subscribe a component to a slice of the game statistics
+ * @param {Function} selector - (stats) => slice
+ * @returns {*} - Selected slice
+ */
+export const useStats = (selector) => useStore(statsStore, selector);
@@ -0,0 +1,292 @@
+/**
+ * Pure selectors over the game state
+ * Usable from components (through useGameStore) and from plain JS
+ */
+
+import { getMortgageValue } from '../rules';
+import config from '../config';
+import { TURN_PHASES } from './turnReducer';
+import { FREE_JAIL_STATUS } from './gameReducer';
+
+export const selectUsername = (state) => state.username;
+export const selectIsHost = (state) => state.isHost;
+export const selectLobbyCode = (state) => state.lobbyCode;
+export const selectBoard = (state) => state.board;
+export const selectPlayers = (state) => state.players;
+export const selectPawns = (state) => state.pawns;
+export const selectCurrentTurn = (state) => state.currentTurn;
+export const selectPositions = (state) => state.positions;
+export const selectBalance = (state) => state.balance;
+export const selectOwnedProperties = (state) => state.ownedProperties;
+export const selectOwnership = (state) => state.ownership;
+export const selectBalances = (state) => state.balances;
+export const selectEliminated = (state) => state.eliminated;
+export const selectTrades = (state) => Object.values(state.trades);
+export const selectAuction = (state) => state.auction;
+export const selectBankSupply = (state) => state.bankSupply;
+export const selectLastRoll = (state) => state.lastRoll;
+export const selectRollHistory = (state) => state.rollHistory;
+export const selectTurn = (state) => state.turn;
+export const selectDebts = (state) => state.debts;
+export const selectBankruptcies = (state) => state.bankruptcies;
+export const selectMyDebt = (state) => state.debts[state.username] || null;
+export const selectJail = (state) => state.jail;
+export const selectJailFine = (state) => state.jailFine ?? config.game.jailFine;
+
+/**
+ * Get a player's jail state
+ * @param {Object} jail - username -> { jailed, turnsLeft, cards }
+ * @param {string} username - Player
+ * @returns {{jailed: boolean, turnsLeft: number, cards: number}}
+ */
+export const getJailStatus = (jail, username) => jail[username] || FREE_JAIL_STATUS;
+
+/**
+ * Get the local player's jail state
+ * @param {Object} state - Game state
+ * @returns {{jailed: boolean, turnsLeft: number, cards: number}}
+ */
+export const selectMyJailStatus = (state) => getJailStatus(state.jail, state.username);
+
+/**
+ * Work out which ways out of jail the local player can take right now
+ * Paying and using a card are only possible before rolling; rolling follows getTurnControls
+ * @param {Object} turn - Turn state (see turnReducer.js)
+ * @param {{jailed: boolean, cards: number}} jailStatus - Local player's jail state
+ * @param {number} fine - Fine for leaving jail
+ * @param {number} balance - Local player's cash
+ * @returns {{payFine: {enabled: boolean, hint: string}, useCard: {enabled: boolean, hint: string}}}
+ */
+export const getJailControls = (turn, jailStatus, fine, balance) => {
+	let blocker = null;
+	if (!jailStatus.jailed) blocker = 'You are not in jail';
+	else if (turn.phase === TURN_PHASES.WAITING) blocker = 'Wait for your turn';
+	else if (turn.phase !== TURN_PHASES.IN_JAIL) blocker = 'Only possible before you roll';
+
+	return {
+		payFine: blocker || balance < fine
+			? { enabled: false, hint: blocker || `You need $${fine} to pay the fine` }
+			: { enabled: true, hint: `Pay $${fine} and roll as usual` },
+		useCard: blocker || jailStatus.cards === 0
+			? { enabled: false, hint: blocker || 'You have no Get Out of Jail Free card' }
+			: { enabled: true, hint: 'Use a Get Out of Jail Free card and roll as usual' }
+	};
+};
+
+/**
+ * Get the player whose turn it is
+ * @param {Object} state - Game state
+ * @returns {Object|null}
+ */
+export const selectCurrentPlayer = (state) => (
+	state.players.find(player => player.username === state.currentTurn) || null
+);
+
+/**
+ * Check whether it is the local player's turn
+ * @param {Object} state - Game state
+ * @returns {boolean}
+ */
+export const selectIsMyTurn = (state) => Boolean(state.username) && state.currentTurn === state.username;
+
+/**
+ * Get the CSS color of a pawn
+ * @param {Object[]} pawns - Pawns from the server ({ name, rgb: '(r, g, b)' })
+ * @param {string} pawnName - Pawn name
+ * @returns {string}
+ */
+export const getPawnColor = (pawns, pawnName) => {
+	const pawn = pawns.find(p => p.name === pawnName);
+	return pawn ? `rgb${pawn.rgb}` : '#999';
+};
+
+/**
+ * Check whether the host can start the game: at least two players, all ready
+ * @param {Object} state - Game state
+ * @returns {string|null} - Reason the game cannot start yet, or null
+ */
+export const selectStartBlocker = (state) => {
+	if (state.players.length < 2) return 'At least 2 players are needed to start';
+	const waiting = state.players.filter(player => !player.ready);
+	if (waiting.length > 0) return `Waiting for ${waiting.map(player => player.username).join(', ')} to get ready`;
+	return null;
+};
+
+/**
+ * Get the players standing on a tile
+ * @param {Object[]} players - Players
+ * @param {Object} positions - username -> tile id
+ * @param {number} tileId - Tile id
+ * @returns {Object[]}
+ */
+export const getTileOccupants = (players, positions, tileId) => (
+	players.filter(player => positions[player.username] === tileId)
+);
+
+/**
+ * Get the players standing on a tile
+ * @param {Object} state - Game state
+ * @param {number} tileId - Tile id
+ * @returns {Object[]}
+ */
+export const selectTileOccupants = (state, tileId) => getTileOccupants(state.players, state.positions, tileId);
+
+/**
+ * Get a board tile by id
+ * @param {Object} state - Game state
+ * @param {number} tileId - Tile id
+ * @returns {Object|undefined}
+ */
+export const selectTile = (state, tileId) => state.board.find(tile => tile.id === tileId);
+
+/**
+ * Value of a property including what was spent on buildings
+ * owner-costs[0] is the purchase price, owner-costs[n] the cost of reaching level n;
+ * a mortgaged property is worth its price minus the mortgage owed
+ * @param {Object} tile - Board tile
+ * @param {number} level - Building level
+ * @param {boolean} [mortgaged=false] - Whether the property is mortgaged
+ * @returns {number}
+ */
+export const getPropertyValue = (tile, level = 0, mortgaged = false) => {
+	const costs = tile?.['owner-costs'] || [];
+	let value = costs[0] || 0;
+	for (let l = 1; l <= level; l++) {
+		value += costs[l] || 0;
+	}
+	return mortgaged ? value - getMortgageValue(tile) : value;
+};
+
+/**
+ * Estimated net worth of the local player (cash + property values + building costs)
+ * @param {Object} state - Game state
+ * @returns {number}
+ */
+export const selectNetWorth = (state) => state.ownedProperties.reduce(
+	(total, property) => total + getPropertyValue(selectTile(state, property.id), property.level || 0, property.mortgaged),
+	state.balance
+);
+
+/**
+ * Get a player's properties from the shared ownership map
+ * @param {Object[]} board - Board tiles
+ * @param {Object} ownership - tile id -> { owner, level, mortgaged }
+ * @param {string} username - Player
+ * @returns {{tile: Object, level: number, mortgaged: boolean}[]} - In board order
+ */
+export const getPlayerProperties = (board, ownership, username) => board
+	.filter(tile => ownership[tile.id]?.owner === username)
+	.map(tile => ({ tile, level: ownership[tile.id].level || 0, mortgaged: Boolean(ownership[tile.id].mortgaged) }));
+
+/**
+ * Estimated net worth from cash and properties
+ * @param {number|undefined} balance - Cash, undefined while unknown
+ * @param {{tile: Object, level: number, mortgaged: boolean}[]} properties - Owned properties
+ * @returns {number|null} - Net worth, or null while the balance is unknown
+ */
+export const getPlayerNetWorth = (balance, properties) => (
+	balance === undefined
+		? null
+		: properties.reduce((total, { tile, level, mortgaged }) => total + getPropertyValue(tile, level, mortgaged), balance)
+);
+
+/**
+ * Estimated net worth of any player
+ * @param {Object} state - Game state
+ * @param {string} username - Player
+ * @returns {number|null}
+ */
+export const selectPlayerNetWorth = (state, username) => getPlayerNetWorth(
+	state.balances[username],
+	getPlayerProperties(state.board, state.ownership, username)
+);
+
+/**
+ * Describe one side of a trade as readable items
+ * @param {Object[]} board - Board tiles
+ * @param {{properties: number[], cash: number}} side - Trade side
+ * @returns {string[]} - Property names, then the cash amount if any
+ */
+export const describeTradeSide = (board, side) => {
+	const items = side.properties.map(id => board.find(tile => tile.id === id)?.name || `Tile ${id}`);
+	if (side.cash > 0) {
+		items.push(`$${side.cash}`);
+	}
+	return items;
+};
+
+/**
+ * Get the lowest bid the running auction accepts
+ * @param {Object} auction - Auction from the store
+ * @returns {number}
+ */
+export const getMinimumBid = (auction) => (
+	auction.highBidder ? auction.highBid + 1 : auction.minBid
+);
+
+/**
+ * Describe which turn actions are available, and why the others are not
+ * @param {Object} turn - Turn state (see turnReducer.js)
+ * @param {string|null} currentTurn - Player whose turn it is
+ * @param {boolean} auctionRunning - Whether an auction is open
+ * @returns {{status: string, roll: {enabled: boolean, hint: string}, end: {enabled: boolean, hint: string}}}
+ */
+export const getTurnControls = (turn, currentTurn, auctionRunning) => {
+	const blocked = (hint) => ({ enabled: false, hint });
+	const auctionHint = 'Wait for the auction to finish';
+
+	switch (turn.phase) {
+		case TURN_PHASES.CAN_ROLL:
+			return {
+				status: turn.doubles ? 'Doubles! Roll again' : 'Your turn: roll the dice',
+				roll: auctionRunning ? blocked(auctionHint) : { enabled: true, hint: turn.doubles ? 'Roll again' : 'Roll the dice' },
+				end: blocked(turn.doubles ? 'You rolled doubles, so roll again' : 'Roll the dice first')
+			};
+		case TURN_PHASES.IN_JAIL:
+			return {
+				status: 'You are in jail: pay the fine, use a card or roll for doubles',
+				roll: auctionRunning ? blocked(auctionHint) : { enabled: true, hint: 'Roll doubles to get out of jail' },
+				end: blocked('Roll the dice first')
+			};
+		case TURN_PHASES.ROLLED:
+			return {
+				status: turn.request === 'roll' ? 'Rolling…' : 'Moving…',
+				roll: blocked('Wait for your move to finish'),
+				end: blocked('Wait for your move to finish')
+			};
+		case TURN_PHASES.AWAITING_CHOICE:
+			return {
+				status: 'Make your choice',
+				roll: blocked('Answer the choice first'),
+				end: blocked('Answer the choice first')
+			};
+		case TURN_PHASES.CAN_END_TURN:
+			return {
+				status: auctionRunning ? 'Auction in progress' : 'Finished? End your turn',
+				roll: blocked('You have already rolled this turn'),
+				end: auctionRunning
+					? blocked(auctionHint)
+					: turn.request === 'end' ? blocked('Ending your turn…') : { enabled: true, hint: 'Pass the dice to the next player' }
+			};
+		case TURN_PHASES.IN_DEBT:
+			return {
+				status: 'You are in debt: raise the cash or declare bankruptcy',
+				roll: blocked('Settle your debt first'),
+				end: blocked('Settle your debt first')
+			};
+		case TURN_PHASES.BANKRUPT:
+			return {
+				status: 'You are out of the game',
+				roll: blocked('You are out of the game'),
+				end: blocked('You are out of the game')
+			};
+		default: {
+			const hint = currentTurn ? `It's ${currentTurn}'s turn` : 'The game has not started';
+			return {
+				status: currentTurn ? `Waiting for ${currentTurn}` : 'Waiting for the game to start',
+				roll: blocked(hint),
+				end: blocked(hint)
+			};
+		}
+	}
+};
@@ -0,0 +1,222 @@
+/**
+ * Game statistics reducer
+ * Collects turns, rent and every player's cash and net worth over a game, and
+ * freezes the final standings when it ends, for the results screen. Actions are
+ * protocol messages with the game state from before and after the message and
+ * the event log line it ended up in (see recordStats)
+ */
+
+import { CLEAR_STATS } from './actions';
+import { getPlayerProperties, getPlayerNetWorth } from './selectors';
+
+export const initialStatsState = {
+	// username -> { turns, rentPaid, rentReceived }
+	players: {},
+	// tile id -> rent collected on it
+	propertyIncome: {},
+	// Cash and net worth after every change: username -> [{ seq, turn, balance, netWorth, cause, causeId }]
+	// seq orders changes across players; cause is the event log line behind the change
+	history: {},
+	seq: 0,
+	turn: 0,
+	// Last landing ({ player, tile, settled }), to tell rent from other payments
+	landing: null,
+	// Final standings once the game is over (see getResults)
+	results: null
+};
+
+// Properties listed as the most profitable
+const TOP_PROPERTIES = 5;
+
+const emptyPlayerStats = { turns: 0, rentPaid: 0, rentReceived: 0 };
+
+/**
+ * Update one player's counters
+ * @param {Object} players - username -> stats
+ * @param {string} username - Player
+ * @param {Object} changes - Counter -> amount to add
+ * @returns {Object} - New players map
+ */
+const addTo = (players, username, changes) => {
+	const stats = { ...(players[username] || emptyPlayerStats) };
+	Object.keys(changes).forEach(key => {
+		stats[key] += changes[key];
+	});
+	return { ...players, [username]: stats };
+};
+
+/**
+ * Freeze the standings from the last game state
+ * Players still in the game rank by net worth (players whose cash was never sent
+ * last, with null cash and net worth), then the eliminated ones, last out first
+ * @param {Object} stats - Statistics collected so far
+ * @param {Object} game - Game state before GAME_END
+ * @param {string|undefined} reason - Why the game ended
+ * @returns {Object}
+ */
+const getResults = (stats, game, reason) => {
+	const standings = game.players.map(player => {
+		const { username } = player;
+		const properties = getPlayerProperties(game.board, game.ownership, username);
+		const eliminated = game.eliminated.includes(username);
+		const cash = game.balances[username] ?? null;
+		let netWorth = null;
+		if (eliminated) netWorth = 0;
+		else if (cash !== null) netWorth = getPlayerNetWorth(cash, properties);
+		return {
+			username,
+			pawn: player.pawn,
+			cash,
+			netWorth,
+			properties: properties.length,
+			eliminated,
+			...emptyPlayerStats,
+			...stats.players[username]
+		};
+	});
+
+	const outOrder = (username) => game.eliminated.indexOf(username);
+	standings.sort((a, b) => {
+		if (a.eliminated !== b.eliminated) return a.eliminated ? 1 : -1;
+		if (a.eliminated) return outOrder(b.username) - outOrder(a.username);
+		if ((a.netWorth === null) !== (b.netWorth === null)) return a.netWorth === null ? 1 : -1;
+		return (b.netWorth || 0) - (a.netWorth || 0);
+	});
+
+	const topProperties = Object.keys(stats.propertyIncome)
+		.map(id => ({
+			tile: game.board.find(t => t.id === Number(id)),
+			owner: game.ownership[id]?.owner || null,
+			income: stats.propertyIncome[id]
+		}))
+		.filter(property => property.tile)
+		.sort((a, b) => b.income - a.income)
+		.slice(0, TOP_PROPERTIES);
+
+	return {
+		reason: reason || null,
+		lobbyCode: game.lobbyCode,
+		username: game.username,
+		pawns: game.pawns,
+		standings: standings.map((standing, i) => ({ ...standing, rank: i + 1 })),
+		topProperties,
+		history: stats.history
+	};
+};
+
+/**
+ * Statistic changes for each message type; each gets (stats, data, game) and
+ * returns the new statistics (the same object when nothing changed)
+ */
+const collectors = {
+	GAME_START: () => initialStatsState,
+
+	NEXT_TURN: (stats, data) => ({
+		...stats,
+		players: addTo(stats.players, data.player, { turns: 1 }),
+		turn: stats.turn + 1,
+		landing: null
+	}),
+
+	SET_POSITION: (stats, data, game) => ({
+		...stats,
+		landing: { player: data.player || game.username, tile: data.position, settled: false }
+	}),
+
+	TRANSACTION: (stats, data, game) => {
+		const { landing } = stats;
+		if (!landing || landing.settled) return stats;
+
+		// Rent: the player who landed pays or the tile's owner is paid. Servers may
+		// only send the local player's side, so either one counts, once per landing.
+		// The lander's first payment settles the landing, rent or not
+		const player = data.player || game.username;
+		const change = data['balance-change'];
+		const paid = change < 0 && player === landing.player;
+		const settled = paid ? { ...stats, landing: { ...landing, settled: true } } : stats;
+
+		const entry = game.ownership[landing.tile];
+		if (!entry || entry.mortgaged || entry.owner === landing.player) return settled;
+		const received = change > 0 && player === entry.owner;
+		if (!paid && !received) return settled;
+
+		const rent = Math.abs(change);
+		return {
+			...stats,
+			players: addTo(addTo(stats.players, landing.player, { rentPaid: rent }), entry.owner, { rentReceived: rent }),
+			propertyIncome: { ...stats.propertyIncome, [landing.tile]: (stats.propertyIncome[landing.tile] || 0) + rent },
+			landing: { ...landing, settled: true }
+		};
+	},
+
+	GAME_END: (stats, data, game) => ({ ...stats, results: getResults(stats, game, data.reason) })
+};
+
+/**
+ * Add a point for every player whose cash or net worth changed
+ * A change that belongs to the same event log line as a player's last point
+ * (a payment and the purchase it paid for) updates that point instead; a
+ * player's first point is their starting cash, at seq 0
+ * @param {Object} stats - Statistics
+ * @param {Object} after - Game state after the message
+ * @param {{id: number, text: string}|null} cause - Event log line for the message
+ * @returns {Object} - Next statistics (the same object when nothing changed)
+ */
+const recordHistory = (stats, after, cause) => {
+	let history = stats.history;
+	const seq = stats.seq + 1;
+	let advanced = false;
+
+	after.players.forEach(({ username }) => {
+		const balance = after.balances[username];
+		if (balance === undefined) return;
+		const netWorth = after.eliminated.includes(username)
+			? 0
+			: getPlayerNetWorth(balance, getPlayerProperties(after.board, after.ownership, username));
+
+		const points = history[username] || [];
+		const last = points[points.length - 1];
+		if (last && last.balance === balance && last.netWorth === netWorth) return;
+
+		const merge = Boolean(last && cause && last.causeId === cause.id);
+		if (last && !merge) advanced = true;
+		const point = {
+			seq: last ? (merge ? last.seq : seq) : 0,
+			turn: stats.turn,
+			balance,
+			netWorth,
+			cause: cause ? cause.text : null,
+			causeId: cause ? cause.id : null
+		};
+		history = {
+			...history,
+			[username]: merge ? [...points.slice(0, -1), point] : [...points, point]
+		};
+	});
+
+	return history === stats.history ? stats : { ...stats, history, seq: advanced ? seq : stats.seq };
+};
+
+/**
+ * Statistics reducer
+ * @param {Object} state - Current statistics
+ * @param {{type: string, data: *, game: Object, after?: Object, cause?: Object}} action - Protocol message with context
+ * @returns {Object} - Next statistics (the same object when nothing changed)
+ */
+const statsReducer = (state = initialStatsState, action) => {
+	if (action.type === CLEAR_STATS) {
+		return initialStatsState;
+	}
+
+	const collect = collectors[action.type];
+	try {
+		const next = collect ? collect(state, action.data || {}, action.game) : state;
+		// Only while a game is running (GAME_END leaves a reset game state)
+		return action.after?.started ? recordHistory(next, action.after, action.cause || null) : next;
+	} catch (error) {
+		console.error(`Could not collect statistics for ${action.type}:`, error);
+		return state;
+	}
+};
+
+export default statsReducer;
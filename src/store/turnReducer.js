@@ -0,0 +1,133 @@
+/**
+ * Turn phase reducer
+ * Tracks where the local player is in their turn so the action buttons can
+ * enable, disable and explain themselves. Runs after gameReducer on every
+ * protocol message and client action, with the updated game state
+ */
+
+import { SET_TURN_REQUEST, ANSWER_CHOICE } from './actions';
+
+export const TURN_PHASES = {
+	WAITING: 'waiting', // Not the local player's turn (or the game has not started)
+	CAN_ROLL: 'can-roll', // Turn started, or doubles were rolled
+	ROLLED: 'rolled', // Dice requested or thrown; waiting for the move to resolve
+	AWAITING_CHOICE: 'awaiting-choice', // The server asked a question (e.g. buy or pass)
+	CAN_END_TURN: 'can-end-turn', // Rolled and resolved; the turn can be passed on
+	IN_JAIL: 'in-jail', // Turn started in jail
+	IN_DEBT: 'in-debt', // A payment could not be covered; raise the cash or go bankrupt
+	BANKRUPT: 'bankrupt' // Eliminated; nothing left to do
+};
+
+export const initialTurnState = {
+	phase: TURN_PHASES.WAITING,
+	rolled: false, // Dice thrown this turn
+	doubles: false, // Last roll was doubles (roll again)
+	moving: false, // Between the local DICE_ROLL and its SET_POSITION
+	choice: false, // A CHOICE is waiting for an answer
+	bankrupt: false,
+	request: null // 'roll' | 'end' while a request is waiting for the server
+};
+
+// Turn flags cleared when a new turn starts
+const freshTurn = { rolled: false, doubles: false, moving: false, choice: false, request: null };
+
+/**
+ * Check whether a message concerns the local player
+ * @param {Object} game - Game state
+ * @param {string|null|undefined} player - Player named by the message
+ * @returns {boolean}
+ */
+const isLocal = (game, player) => !player || player === game.username;
+
+/**
+ * Check whether the local player is in jail (jail state lives in the game state)
+ * @param {Object} game - Game state
+ * @returns {boolean}
+ */
+const isJailed = (game) => Boolean(game.jail[game.username]?.jailed);
+
+/**
+ * Flag changes for each action; each gets (turn, data, game) and returns the
+ * new flags (the same object when nothing changed)
+ */
+const transitions = {
+	GAME_START: () => initialTurnState,
+
+	NEXT_TURN: (turn) => ({ ...turn, ...freshTurn }),
+
+	DICE_ROLL: (turn, data, game) => {
+		if (!isLocal(game, data.player)) return turn;
+		// Doubles rolled in jail only open the cell; they earn no extra roll
+		const doubles = data.dice.length === 2 && data.dice[0] === data.dice[1] && !isJailed(game);
+		return { ...turn, rolled: true, doubles, moving: true, request: null };
+	},
+
+	SET_POSITION: (turn, data, game) => {
+		if (!isLocal(game, data.player)) return turn;
+		// Without a DICE_ROLL the move itself answers the roll request
+		const answered = turn.request === 'roll' ? { rolled: true, request: null } : null;
+		// Being sent to jail ends the turn's rolling, doubles or not
+		if (data.jailed) return { ...turn, ...answered, moving: false, doubles: false };
+		if (answered) return { ...turn, ...answered, moving: false };
+		return turn.moving ? { ...turn, moving: false } : turn;
+	},
+
+	// A failed roll in jail ends without a move
+	JAIL_STATUS: (turn, data, game) => (
+		isLocal(game, data.player) && data.jailed && turn.moving ? { ...turn, moving: false } : turn
+	),
+
+	CHOICE: (turn) => ({ ...turn, choice: true }),
+
+	// A purchase or an auction settles the buy-or-pass question
+	PROPERTY_TRANSFER: (turn, data, game) => (isLocal(game, data.player) && turn.choice ? { ...turn, choice: false } : turn),
+
+	AUCTION_START: (turn) => (turn.choice ? { ...turn, choice: false } : turn),
+
+	ERROR: (turn, data) => {
+		// The server knows better: resync with its answer
+		if (data.code === 'ALREADY_ROLLED') return { ...turn, rolled: true, doubles: false, request: null };
+		if (data.code === 'NOT_ROLLED') return { ...turn, rolled: false, request: null };
+		return turn.request ? { ...turn, request: null } : turn;
+	},
+
+	PLAYER_ELIMINATED: (turn, data, game) => (isLocal(game, data.player) ? { ...turn, bankrupt: true } : turn),
+
+	[SET_TURN_REQUEST]: (turn, data) => ({ ...turn, request: data.request }),
+
+	[ANSWER_CHOICE]: (turn) => ({ ...turn, choice: false })
+};
+
+/**
+ * Work out the turn phase from the flags
+ * @param {Object} turn - Turn flags
+ * @param {Object} game - Game state
+ * @returns {string} - One of TURN_PHASES
+ */
+const phaseOf = (turn, game) => {
+	if (turn.bankrupt) return TURN_PHASES.BANKRUPT;
+	if (game.debts[game.username]) return TURN_PHASES.IN_DEBT;
+	if (!game.username || game.currentTurn !== game.username) return TURN_PHASES.WAITING;
+	if (turn.choice) return TURN_PHASES.AWAITING_CHOICE;
+	if (turn.request === 'roll' || turn.moving) return TURN_PHASES.ROLLED;
+	if (isJailed(game) && !turn.rolled) return TURN_PHASES.IN_JAIL;
+	if (!turn.rolled || turn.doubles) return TURN_PHASES.CAN_ROLL;
+	return TURN_PHASES.CAN_END_TURN;
+};
+
+/**
+ * Turn reducer
+ * @param {Object} turn - Current turn state
+ * @param {{type: string, data: *}} action - Protocol message or client action
+ * @param {Object} game - Game state after the action
+ * @returns {Object} - Next turn state (the same object when nothing changed)
+ */
+const turnReducer = (turn, action, game) => {
+	const transition = transitions[action.type];
+	const flags = transition ? transition(turn, action.data || {}, game) : turn;
+	const phase = phaseOf(flags, game);
+	if (flags === turn && phase === turn.phase) return turn;
+	return { ...flags, phase };
+};
+
+export default turnReducer;
@@ -1,6 +1,6 @@
 /**
  * Theme constants for the application
- * Contains color schemes for dark and light modes
+ * Contains color schemes for dark and light modes and the property set colors
  */
 
 export const themes = {
@@ -38,6 +38,28 @@ export const themes = {
 	}
 };
 
+// Property set colors, the same in both themes
+export const propertyColors = {
+	'brown': '#8B4513',
+	'cyan': '#87CEEB',
+	'magenta': '#FF00FF',
+	'orange': '#FFA500',
+	'red': '#FF0000',
+	'yellow': '#FFFF00',
+	'green': '#00FF00',
+	'blue': '#0000FF',
+	'purple': '#800080'
+};
+
+/**
+ * Get color hex value for a property color name
+ * @param {string} color - Property color from the board (e.g. 'Brown')
+ * @returns {string} - CSS color, grey for an unknown color
+ */
+export const getPropertyColor = (color) => {
+	return propertyColors[color?.toLowerCase()] || '#999';
+};
+
 /**
  * Apply theme to document root
  * @param {string} themeName - 'dark' or 'light'